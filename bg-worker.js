@@ -1,16 +1,46 @@
 /**
  * Forest fly-through — optimised renderer.
  * Runs in a Web Worker (OffscreenCanvas) or on the main thread as fallback.
+ * This file is the entry point: it loads the scene core (forest-core.js) and
+ * the backends (forest-gl.js, forest-2d.js), picks one and wires the scene
+ * to the messages <forest-background> (forest-background.js) sends. On the
+ * main thread the same handler runs without a worker, one per element.
  *
  * Features:
  *  • Theme-driven colours from CSS custom properties
  *  • Smooth 5-second colour transitions on theme change
- *  • 1× DPR on mobile (≤ 768 CSS-px wide) — up to 4× fewer pixels
+ *  • Adaptive quality tiers (DPR, tree count, glow pass, fps cap) chosen
+ *    from measured frame time
  *  • Per-tree gradient objects cached (rebuilt only on resize / theme change)
  *  • Per-tree HSL colour strings pre-baked
  *  • Insertion sort O(n) replaces Array.sort O(n log n) on nearly-sorted data
  *  • Pre-computed reciprocals eliminate divisions in the hot path
  *  • Off-screen and very-faint trees culled before any draw call
+ *  • Render loop pauses while the page is hidden or the canvas is off-screen
+ *  • Poster frames: a downscaled still of the live canvas on request, for
+ *    the element to show on the next visit until the first frame is drawn
+ *  • Image export at any size and aspect (wallpapers), drawn on a canvas of
+ *    its own without touching the live one, and frame sequences of one
+ *    camera sweep rendered from a copy of the scene
+ *  • prefers-reduced-motion: slow drift without yaw sweep (or a still frame)
+ *  • Seeded layouts — re-seeding cross-fades to the new forest in place
+ *  • Pointer / tilt parallax on top of the autopilot camera (spring-damped)
+ *  • Camera choreography: keyframe timelines (speed, yaw, sideways offset,
+ *    fog density) played in layers over the autopilot, timed or scrubbed
+ *    by scroll position
+ *  • WebGL2 backend: all trees in one instanced draw, fades / glow / fog in
+ *    shaders, theme as uniforms — Canvas2D backend as the fallback
+ *  • Particle presets (fireflies, pollen, rain, snow) in world space,
+ *    depth-sorted between the trees, count scaled by the quality tier
+ *  • Versioned message protocol: "ready" once set up, "drawn" after the
+ *    first frame, "error" with a reason
+ *    (load / context / version / exception / unknown-message / not-ready)
+ *    otherwise —
+ *    the element falls back to the main thread, then to a still gradient
+ *  • Frame statistics on request (frame / work time percentiles, trees
+ *    drawn and culled, sort moves, colour rebuilds), posted once a second
+ *  • Scene core loads in Node too: injectable clock, deterministic stepTo()
+ *    and a recording 2D context (forest-recorder.js) for draw-list snapshots
  */
 
 /* ═══════════════════════════════════════════════════════════════════════════ */
@@ -18,585 +48,428 @@
 /* ═══════════════════════════════════════════════════════════════════════════ */
 const IS_WORKER = typeof document === "undefined";
 
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Canvas / context — set during init                                        */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-let canvas, ctx;
-let W = 0,
-  H = 0,
-  dpr = 1;
-let topY = 0,
-  bottomY = 0;
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Tunables                                                                  */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-const DEPTH_FAR = 55;
-const DEPTH_NEAR = 8;
-const HALF_W = 20;
-const SPEED_BASE = 0.004;
-const DRIFT_AMP = 4.5;
-const DRIFT_FREQ = 0.00008;
-const X_SPACING = 3.6;
-const Z_SPACING = 4.8;
-const X_JITTER = X_SPACING * 0.3;
-const RECYCLE_DELAY_MS = 1000;
-const NEAR_FADE_START_Z = 7.2;
-const NEAR_FADE_END_Z = 1.1;
-const CENTER_FADE_BAND_X = 1.35;
-const VIEW_WAYPOINTS = [90, 75, 115, 90];
-const VIEW_SWEEP_MS = 30000;
-
-/* Pre-computed reciprocals & constants */
-const INV_DEPTH_RANGE = 1 / (DEPTH_FAR - DEPTH_NEAR);
-const FAR_FADE_INV = 1 / (DEPTH_FAR * 0.18);
-const NEAR_FADE_INV = 1 / (NEAR_FADE_START_Z - NEAR_FADE_END_Z);
-const INV_CENTER_FADE = 1 / CENTER_FADE_BAND_X;
-const VP_DIVISOR = DEPTH_FAR * 4;
-const SEG_COUNT = VIEW_WAYPOINTS.length - 1;
-const SEG_MS = VIEW_SWEEP_MS / SEG_COUNT;
-const INV_SEG_MS = 1 / SEG_MS;
-const DEPTH_QUANT = 11;
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Default theme (matches original hardcoded colours)                        */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-const DEFAULT_THEME = {
-  sky: [
-    [184, 242, 168],
-    [114, 228, 184],
-    [56, 184, 216],
-    [34, 85, 196],
-    [30, 52, 160],
-    [16, 11, 88],
-  ],
-  fog: [
-    [100, 210, 235, 0.1],
-    [55, 135, 220, 0.2],
-    [55, 130, 215, 0.2],
-    [28, 65, 170, 0.1],
-  ],
-  treeHueMin: 174,
-  treeHueMax: 216,
-  treeSat: 58,
-  treeLightMin: 36,
-  treeLightMax: 52,
+/* Bumped whenever a message changes shape. forest-background.js sends the
+   same number and treats a mismatch (a stale cached copy) as fatal. */
+const PROTOCOL_VERSION = 3;
+
+const STATS_INTERVAL_MS = 1000;
+const EXPORT_MAX_PX = 8192; // per side, within common canvas / texture limits
+const EXPORT_MAX_FRAMES = 900;
+/* Width × height × frames of one clip: every frame is held until the last
+   is encoded, so this bounds the memory a clip can take */
+const EXPORT_MAX_CLIP_PX = 200e6;
+
+/* The answer to each request type; requests carry an id, answers echo it */
+const ANSWER_TYPES = {
+  getState: "state",
+  export: "export",
+  exportFrames: "exportFrames",
 };
 
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Theme state                                                               */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-const THEME_DURATION = 1000;
-let themeFrom = null;
-let themeTo = null;
-let cur = null; // current (possibly interpolated) theme snapshot
-let themeStartT = -1;
-let themeTransitioning = false;
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Runtime state                                                             */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-const cam = { x: 0, fov: 0 };
-let yawCos = 1,
-  yawSin = 0;
-const trees = [];
-const g = {}; // background & fog gradient cache
-let rowsPerCol = 0;
+/* Loaded in this order, next to this file */
+const FOREST_MODULES = ["forest-core.js", "forest-2d.js", "forest-gl.js"];
 
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Seeded PRNG (mulberry32) — deterministic across loads                     */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function mulberry32(seed) {
-  return function () {
-    seed |= 0;
-    seed = (seed + 0x6d2b79f5) | 0;
-    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-const rng = mulberry32(0xabcd1234);
-function randS(a, b) {
-  return rng() * (b - a) + a;
-}
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Helpers                                                                   */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function clamp01(v) {
-  return v < 0 ? 0 : v > 1 ? 1 : v;
-}
-function easeInOut01(u) {
-  return u * u * (3 - 2 * u);
-}
-
-/** Insertion sort descending by .z — O(n) when nearly sorted (each frame). */
-function sortByZDesc(arr) {
-  for (let i = 1, n = arr.length; i < n; i++) {
-    const key = arr[i];
-    const kz = key.z;
-    let j = i - 1;
-    while (j >= 0 && arr[j].z < kz) {
-      arr[j + 1] = arr[j];
-      j--;
-    }
-    arr[j + 1] = key;
+/** Pick the backend: WebGL2 unless configured otherwise or unavailable. */
+function createRenderer(scene, canvas) {
+  const pref = scene.config.renderer;
+  const gl = pref !== "2d" ? ForestGL.create(scene, canvas) : null;
+  if (gl) return gl;
+  if (pref === "webgl2") {
+    console.warn("[bg] WebGL2 renderer requested but unavailable — using 2D");
   }
+  return Forest2D.create(scene, canvas);
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Theme helpers                                                             */
+/*  Stills                                                                    */
 /* ═══════════════════════════════════════════════════════════════════════════ */
-function rgbStr(c) {
-  return "rgb(" + (c[0] | 0) + "," + (c[1] | 0) + "," + (c[2] | 0) + ")";
-}
-function rgbaStr(c) {
-  return (
-    "rgba(" +
-    (c[0] | 0) +
-    "," +
-    (c[1] | 0) +
-    "," +
-    (c[2] | 0) +
-    "," +
-    c[3].toFixed(3) +
-    ")"
-  );
+/* A canvas to encode from: OffscreenCanvas, or a detached <canvas> on the
+   main thread of browsers without one */
+function createStillCanvas(w, h) {
+  if (typeof OffscreenCanvas === "function") return new OffscreenCanvas(w, h);
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  return c;
 }
 
-function cloneTheme(t) {
-  return {
-    sky: t.sky.map(function (c) {
-      return c.slice();
-    }),
-    fog: t.fog.map(function (c) {
-      return c.slice();
-    }),
-    treeHueMin: t.treeHueMin,
-    treeHueMax: t.treeHueMax,
-    treeSat: t.treeSat,
-    treeLightMin: t.treeLightMin,
-    treeLightMax: t.treeLightMax,
-  };
+/** A backend like `live` (WebGL2 or Canvas2D) for `scene` on `canvas`. */
+function createStillRenderer(live, scene, canvas) {
+  const gl =
+    live && live.name === "webgl2" ? ForestGL.create(scene, canvas) : null;
+  return gl || Forest2D.create(scene, canvas);
 }
 
-function lerpTheme(a, b, t) {
-  var sky = [];
-  for (var i = 0; i < a.sky.length; i++) {
-    sky.push([
-      a.sky[i][0] + (b.sky[i][0] - a.sky[i][0]) * t,
-      a.sky[i][1] + (b.sky[i][1] - a.sky[i][1]) * t,
-      a.sky[i][2] + (b.sky[i][2] - a.sky[i][2]) * t,
-    ]);
-  }
-  var fog = [];
-  for (var i = 0; i < a.fog.length; i++) {
-    fog.push([
-      a.fog[i][0] + (b.fog[i][0] - a.fog[i][0]) * t,
-      a.fog[i][1] + (b.fog[i][1] - a.fog[i][1]) * t,
-      a.fog[i][2] + (b.fog[i][2] - a.fog[i][2]) * t,
-      a.fog[i][3] + (b.fog[i][3] - a.fog[i][3]) * t,
-    ]);
-  }
-  return {
-    sky: sky,
-    fog: fog,
-    treeHueMin: a.treeHueMin + (b.treeHueMin - a.treeHueMin) * t,
-    treeHueMax: a.treeHueMax + (b.treeHueMax - a.treeHueMax) * t,
-    treeSat: a.treeSat + (b.treeSat - a.treeSat) * t,
-    treeLightMin: a.treeLightMin + (b.treeLightMin - a.treeLightMin) * t,
-    treeLightMax: a.treeLightMax + (b.treeLightMax - a.treeLightMax) * t,
-  };
+/* A WebGL2 context lingers until collected; browsers cap how many live */
+function releaseRenderer(r) {
+  const lose = r.gl && r.gl.getExtension("WEBGL_lose_context");
+  if (lose) lose.loseContext();
 }
 
-function setThemeTarget(theme) {
-  themeFrom = cur ? cloneTheme(cur) : cloneTheme(theme);
-  themeTo = theme;
-  themeStartT = performance.now();
-  themeTransitioning = true;
+/** Promise of the canvas encoded as `type` (the browser may pick PNG). */
+function encodeCanvas(c, type, quality) {
+  if (c.convertToBlob) return c.convertToBlob({ type: type, quality: quality });
+  return new Promise(function (resolve, reject) {
+    c.toBlob(
+      function (blob) {
+        if (blob) resolve(blob);
+        else reject(new Error("Could not encode " + type));
+      },
+      type,
+      quality,
+    );
+  });
 }
 
-function updateThemeTransition(ts) {
-  if (!themeTransitioning) return;
-  var elapsed = ts - themeStartT;
-  var t = clamp01(elapsed / THEME_DURATION);
-  t = easeInOut01(t);
-  cur = lerpTheme(themeFrom, themeTo, t);
-  rebuildAllColors();
-  if (t >= 1) {
-    themeTransitioning = false;
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Messages                                                                  */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/**
+ * Message handler for one forest. Until the scene exists (and once it is
+ * gone) everything but "init" and "destroy" is turned away: a request gets
+ * its answer with an `error`, anything else a "not-ready" error. Answers
+ * ("ready", "drawn", "error", "state", "stats", "poster", "export",
+ * "exportFrames") go to reply(), stamped with PROTOCOL_VERSION. Request
+ * answers carry the request's id, and an `error` instead of their result
+ * when there is none.
+ *
+ * Errors carry a reason and whether the forest is gone (fatal):
+ *   version          the message came from another protocol version
+ *   context          no WebGL2 or 2D context on the canvas
+ *   exception        handling the message threw; the scene is dropped
+ *   poster           a poster frame could not be encoded (not fatal)
+ *   unknown-message  a type this version does not know (not fatal)
+ *   not-ready        a message before "init", or after "destroy" or a
+ *                    fatal error (not fatal)
+ */
+function createPort(reply) {
+  let scene = null;
+  let canvas = null;
+  let drawn = false;
+  let statsTimer = 0;
+
+  function send(msg) {
+    msg.v = PROTOCOL_VERSION;
+    reply(msg);
   }
-}
-
-/** Rebuild all colour-dependent objects from the current theme snapshot. */
-function rebuildAllColors() {
-  if (!ctx) return;
-  buildSceneGradients();
-  rebuildTreeColors();
-  rebuildTreeGradients();
-}
-
-/** Regenerate per-tree solid-body and gradient-stop colour strings. */
-function rebuildTreeColors() {
-  for (var i = 0, n = trees.length; i < n; i++) {
-    var t = trees[i];
-    var hue = cur.treeHueMin + t.hueRng * (cur.treeHueMax - cur.treeHueMin);
-    var sat = cur.treeSat;
-    var lMin = cur.treeLightMin;
-    var lMax = cur.treeLightMax;
 
-    for (var d = 0; d < DEPTH_QUANT; d++) {
-      var l = lMin + (d / (DEPTH_QUANT - 1)) * (lMax - lMin);
-      t.solidColors[d] =
-        "hsl(" +
-        hue.toFixed(1) +
-        "," +
-        sat.toFixed(1) +
-        "%," +
-        l.toFixed(1) +
-        "%)";
+  function fail(reason, message, fatal) {
+    if (fatal && scene) {
+      watchStats(false);
+      scene.pause();
+      scene = null;
     }
-
-    var g0 = Math.min(90, lMax + 28);
-    var g1 = Math.min(72, lMax + 16);
-    var g2 = Math.min(54, lMax + 6);
-    var g3 = Math.max(8, lMin - 4);
-    t.gradStops[0] =
-      "hsla(" + (hue - 14).toFixed(1) + ",86%," + g0.toFixed(1) + "%,0.62)";
-    t.gradStops[1] =
-      "hsla(" + (hue - 7).toFixed(1) + ",76%," + g1.toFixed(1) + "%,0.35)";
-    t.gradStops[2] =
-      "hsla(" + hue.toFixed(1) + ",66%," + g2.toFixed(1) + "%,0.11)";
-    t.gradStops[3] =
-      "hsla(" + (hue + 10).toFixed(1) + ",56%," + g3.toFixed(1) + "%,0)";
+    send({ type: "error", reason: reason, message: message, fatal: fatal });
   }
-}
 
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Forest construction                                                       */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function buildForest() {
-  trees.length = 0;
-  const cols = [];
-  for (let x = 0; x <= HALF_W + 0.01; x += X_SPACING) {
-    cols.push(x);
-    if (x > 0) cols.push(-x);
+  /* Stats since the previous post; the first post starts a clean window */
+  function watchStats(on) {
+    clearInterval(statsTimer);
+    statsTimer = 0;
+    if (!on) return;
+    scene.takeStats();
+    statsTimer = setInterval(function () {
+      send({ type: "stats", stats: scene.takeStats() });
+    }, STATS_INTERVAL_MS);
   }
-  rowsPerCol = Math.ceil(DEPTH_FAR / Z_SPACING);
-
-  for (const cx of cols) {
-    for (let row = 0; row < rowsPerCol; row++) {
-      /* PRNG call order MUST stay identical to original: x, z, trunkW, hue, lit */
-      const treeX = cx + randS(-X_JITTER, X_JITTER);
-      const treeZ = (row + 1) * Z_SPACING + randS(0, Z_SPACING * 0.3);
-      const trunkW = randS(0.55, 1.1);
-
-      /* hueRng replaces randS(174, 216) — same single rng() call position */
-      const hueRng = rng();
-      const hue = cur.treeHueMin + hueRng * (cur.treeHueMax - cur.treeHueMin);
-      const lit = randS(0.55, 1.0);
 
-      const sat = cur.treeSat;
-      const lMin = cur.treeLightMin;
-      const lMax = cur.treeLightMax;
-
-      /* Pre-bake quantised solid-body colour strings. */
-      const solidColors = new Array(DEPTH_QUANT);
-      for (let d = 0; d < DEPTH_QUANT; d++) {
-        const l = lMin + (d / (DEPTH_QUANT - 1)) * (lMax - lMin);
-        solidColors[d] =
-          "hsl(" +
-          hue.toFixed(1) +
-          "," +
-          sat.toFixed(1) +
-          "%," +
-          l.toFixed(1) +
-          "%)";
-      }
-
-      /* Pre-bake gradient colour-stop strings. */
-      const g0 = Math.min(90, lMax + 28);
-      const g1 = Math.min(72, lMax + 16);
-      const g2 = Math.min(54, lMax + 6);
-      const g3 = Math.max(8, lMin - 4);
-      const gradStops = [
-        "hsla(" + (hue - 14).toFixed(1) + ",86%," + g0.toFixed(1) + "%,0.62)",
-        "hsla(" + (hue - 7).toFixed(1) + ",76%," + g1.toFixed(1) + "%,0.35)",
-        "hsla(" + hue.toFixed(1) + ",66%," + g2.toFixed(1) + "%,0.11)",
-        "hsla(" + (hue + 10).toFixed(1) + ",56%," + g3.toFixed(1) + "%,0)",
-      ];
+  /* The element keeps the poster up until the live canvas has a picture */
+  function onFrame() {
+    if (drawn) return;
+    drawn = true;
+    send({ type: "drawn" });
+  }
 
-      trees.push({
-        x: treeX,
-        z: treeZ,
-        trunkW,
-        hueRng,
-        lit,
-        fade: 1,
-        recycleWait: 0,
-        solidColors,
-        gradStops,
-        gradCache: null, // CanvasGradient — rebuilt on resize / theme change
-      });
+  function init(msg) {
+    canvas = msg.canvas;
+    drawn = false;
+    scene = ForestCore.createScene({
+      config: msg.config,
+      theme: msg.theme,
+      seed: msg.seed,
+      time: msg.time,
+      reducedMotion: msg.reducedMotion,
+      paused: msg.paused,
+      onFrame: onFrame,
+    });
+    const renderer = createRenderer(scene, canvas);
+    if (!renderer) {
+      fail("context", "No WebGL2 or 2D context available", true);
+      return;
+    }
+    scene.setRenderer(renderer);
+    scene.resize(msg.w, msg.h, msg.dpr);
+    /* Layers that were holding a pose when the last attempt gave up */
+    for (const layer in msg.camera) {
+      scene.playCamera(layer, msg.camera[layer].timeline);
+      scene.scrubCamera(layer, msg.camera[layer].progress);
     }
+    send({ type: "ready", renderer: renderer.name });
+    if (msg.stats) watchStats(true);
   }
 
-  trees.sort((a, b) => b.z - a.z);
-}
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Gradient management                                                       */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function buildSceneGradients() {
-  const bg = ctx.createLinearGradient(0, 0, 0, H);
-  bg.addColorStop(0.0, rgbStr(cur.sky[0]));
-  bg.addColorStop(0.08, rgbStr(cur.sky[1]));
-  bg.addColorStop(0.25, rgbStr(cur.sky[2]));
-  bg.addColorStop(0.5, rgbStr(cur.sky[3]));
-  bg.addColorStop(0.74, rgbStr(cur.sky[4]));
-  bg.addColorStop(1.0, rgbStr(cur.sky[5]));
-  g.bg = bg;
-
-  const fog = ctx.createLinearGradient(0, 0, 0, H);
-  fog.addColorStop(0.0, rgbaStr(cur.fog[0]));
-  fog.addColorStop(0.44, rgbaStr(cur.fog[1]));
-  fog.addColorStop(0.56, rgbaStr(cur.fog[2]));
-  fog.addColorStop(1.0, rgbaStr(cur.fog[3]));
-  g.fog = fog;
-}
-
-/** Rebuild per-tree cached gradient objects (topY / bottomY changed). */
-function rebuildTreeGradients() {
-  for (let i = 0, n = trees.length; i < n; i++) {
-    const t = trees[i];
-    const gr = ctx.createLinearGradient(0, topY, 0, bottomY);
-    gr.addColorStop(0.0, t.gradStops[0]);
-    gr.addColorStop(0.15, t.gradStops[1]);
-    gr.addColorStop(0.46, t.gradStops[2]);
-    gr.addColorStop(1.0, t.gradStops[3]);
-    t.gradCache = gr;
+  /* Poster frame: the live canvas scaled down to w × h, echoing the
+     element's cache key. Drawn again first — a WebGL2 canvas only keeps
+     its picture until the frame is composited. The scene does not move. */
+  function poster(msg) {
+    scene.renderer.draw();
+    const still = createStillCanvas(msg.w, msg.h);
+    still.getContext("2d").drawImage(canvas, 0, 0, msg.w, msg.h);
+    encodeCanvas(still, msg.format, msg.quality).then(
+      function (blob) {
+        send({ type: "poster", key: msg.key, blob: blob });
+      },
+      function (err) {
+        fail("poster", String((err && err.message) || err), false);
+      },
+    );
   }
-}
 
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Resize                                                                    */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function handleResize(w, h, deviceDpr) {
-  W = w;
-  H = h;
-  // Mobile (≤ 768 CSS-px wide): always 1×. Desktop: cap at 1.5×.
-  dpr = 1; // 1 for all devices to save GPU / battery — no visible quality difference
-  canvas.width = Math.round(W * dpr);
-  canvas.height = Math.round(H * dpr);
-  if (!IS_WORKER && canvas.style) {
-    canvas.style.width = W + "px";
-    canvas.style.height = H + "px";
+  function exportSize(msg) {
+    const ok = function (n) {
+      return n === Math.floor(n) && n >= 1 && n <= EXPORT_MAX_PX;
+    };
+    if (!ok(msg.w) || !ok(msg.h)) {
+      throw new RangeError(
+        "Export size " + msg.w + " × " + msg.h + " is not 1–" + EXPORT_MAX_PX,
+      );
+    }
   }
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-  cam.fov = Math.max(W, H) * 1.55;
-  topY = -(H * 0.12);
-  bottomY = H * 1.12;
-
-  rebuildAllColors();
-}
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Tree drawing                                                              */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function drawTree(t) {
-  /* World → rotated view */
-  const rx = t.x * yawCos - t.z * yawSin;
-  const rz = t.x * yawSin + t.z * yawCos;
-  if (rz <= 0.5) return;
-
-  /* Depth & fade factors */
-  const depth = clamp01(1 - (rz - DEPTH_NEAR) * INV_DEPTH_RANGE);
-  const farAlpha = clamp01((DEPTH_FAR - rz) * FAR_FADE_INV);
-
-  const nearT = clamp01((rz - NEAR_FADE_END_Z) * NEAR_FADE_INV);
-  const nearAlpha = easeInOut01(nearT);
-  const dx = rx - cam.x;
-  const absDx = dx < 0 ? -dx : dx;
-  const sideKeep = easeInOut01(clamp01(absDx * INV_CENTER_FADE));
 
-  const alpha = t.fade * (nearAlpha + (1 - nearAlpha) * sideKeep) * farAlpha;
-  if (alpha <= 0.002) return;
-
-  /* Projection */
-  const scale = cam.fov / rz;
-  const screenX = W * 0.5 + dx * scale;
-  const baseW = t.trunkW * scale;
-
-  const vScale = cam.fov / VP_DIVISOR;
-  const vx = W * 0.5 + dx * vScale;
-  const raw = baseW * 0.022;
-  const topW = raw < 0.6 ? 0.6 : raw;
-
-  /* Off-screen cull — check full trapezoid (top vx AND bottom screenX) */
-  const minX = vx - topW < screenX - baseW ? vx - topW : screenX - baseW;
-  const maxX = vx + topW > screenX + baseW ? vx + topW : screenX + baseW;
-  if (maxX < 0 || minX > W) return;
-
-  /* ── Solid body ── */
-  const dIdx = (depth * (DEPTH_QUANT - 1) + 0.5) | 0;
-  ctx.globalAlpha = (0.07 + depth * 0.28) * alpha;
-  ctx.fillStyle = t.solidColors[dIdx];
-  ctx.beginPath();
-  ctx.moveTo(vx - topW, topY);
-  ctx.lineTo(vx + topW, topY);
-  ctx.lineTo(screenX + baseW, bottomY);
-  ctx.lineTo(screenX - baseW, bottomY);
-  ctx.closePath();
-  ctx.fill();
-
-  /* ── Gradient glow ── */
-  ctx.globalAlpha = t.lit * alpha;
-  ctx.fillStyle = t.gradCache;
-  ctx.beginPath();
-  ctx.moveTo(vx - topW, topY);
-  ctx.lineTo(vx + topW, topY);
-  ctx.lineTo(screenX + baseW, bottomY);
-  ctx.lineTo(screenX - baseW, bottomY);
-  ctx.closePath();
-  ctx.fill();
-}
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Update (physics / camera)                                                 */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-function update(dt, t) {
-  /* Yaw sweep: smooth interpolation through waypoints */
-  const localT = t % VIEW_SWEEP_MS;
-  const seg = Math.min((localT * INV_SEG_MS) | 0, SEG_COUNT - 1);
-  const segU = (localT - seg * SEG_MS) * INV_SEG_MS;
-  const easedU = 0.5 - 0.5 * Math.cos(segU * Math.PI);
-  const yaw =
-    (90 -
-      (VIEW_WAYPOINTS[seg] +
-        (VIEW_WAYPOINTS[seg + 1] - VIEW_WAYPOINTS[seg]) * easedU)) *
-    (Math.PI / 180);
-  yawCos = Math.cos(yaw);
-  yawSin = Math.sin(yaw);
-
-  /* Multi-frequency drift */
-  cam.x =
-    Math.sin(t * DRIFT_FREQ) * DRIFT_AMP +
-    Math.sin(t * DRIFT_FREQ * 2.6 + 1.1) * DRIFT_AMP * 0.38 +
-    Math.sin(t * DRIFT_FREQ * 0.7 + 2.4) * DRIFT_AMP * 0.2;
+  /** The answer of `type` to request `id`, with `err` in place of a result. */
+  function answerFailed(type, id, err) {
+    send({ type: type, id: id, error: String((err && err.message) || err) });
+  }
 
-  /* Move trees toward camera */
-  const move = SPEED_BASE * dt;
-  const recOffset = rowsPerCol * Z_SPACING;
-  const fadeDelta = dt * 0.0015;
+  /* The scene as it stands at w × h; the live canvas is not touched */
+  function exportImage(msg) {
+    let r = null;
+    try {
+      exportSize(msg);
+      const still = createStillCanvas(msg.w, msg.h);
+      r = createStillRenderer(scene.renderer, scene, still);
+      if (!r) throw new Error("No WebGL2 or 2D context for the export");
+      scene.renderStill(r, msg.w, msg.h);
+      /* Encoding copies the picture first, so the context may go */
+      const blob = encodeCanvas(still, msg.format, msg.quality);
+      releaseRenderer(r);
+      blob.then(
+        function (b) {
+          send({ type: "export", id: msg.id, blob: b });
+        },
+        function (err) {
+          answerFailed("export", msg.id, err);
+        },
+      );
+    } catch (err) {
+      if (r) releaseRenderer(r);
+      answerFailed("export", msg.id, err);
+    }
+  }
 
-  for (let i = trees.length - 1; i >= 0; i--) {
-    const tr = trees[i];
-    tr.z -= move;
-    if (tr.fade < 1) tr.fade = Math.min(1, tr.fade + fadeDelta);
+  /* One camera sweep (viewSweepMs) at `fps`, from a copy of the scene that
+     starts where the live one is: the same seed, time, theme and settings,
+     on the autopilot. Frames are encoded one after another, so the live
+     forest keeps drawing in between. */
+  function exportFrames(msg) {
+    let r = null;
+    try {
+      exportSize(msg);
+      const fps = Math.min(60, Math.max(1, msg.fps || 24));
+      const frameMs = 1000 / fps;
+      const count = Math.round(scene.config.viewSweepMs / frameMs);
+      if (count > EXPORT_MAX_FRAMES) {
+        throw new RangeError(
+          count + " frames, " + EXPORT_MAX_FRAMES + " at most — lower the fps",
+        );
+      }
+      if (msg.w * msg.h * count > EXPORT_MAX_CLIP_PX) {
+        throw new RangeError(
+          count +
+            " frames of " +
+            msg.w +
+            " × " +
+            msg.h +
+            " is over " +
+            EXPORT_MAX_CLIP_PX / 1e6 +
+            " megapixels — lower the size or fps",
+        );
+      }
+      const state = scene.getState();
+      /* No `time` here: createScene folds one past MAX_START_MS back by
+         whole sweeps, a different frame; the first stepTo replays the
+         flight up to the live time instead */
+      const clip = ForestCore.createScene({
+        config: Object.assign({}, scene.config),
+        theme: scene.theme,
+        seed: state.seed,
+        paused: true,
+      });
+      const still = createStillCanvas(msg.w, msg.h);
+      r = createStillRenderer(scene.renderer, clip, still);
+      if (!r) throw new Error("No WebGL2 or 2D context for the export");
+      clip.setRenderer(r);
+      clip.resize(msg.w, msg.h, 1);
+      const frames = [];
+      const next = function () {
+        if (frames.length === count) return frames;
+        clip.stepTo(state.time + frames.length * frameMs);
+        return encodeCanvas(still, msg.format, msg.quality).then(function (b) {
+          frames.push(b);
+          return next();
+        });
+      };
+      Promise.resolve()
+        .then(next)
+        .then(
+          function () {
+            releaseRenderer(r);
+            send({
+              type: "exportFrames",
+              id: msg.id,
+              frames: frames,
+              frameMs: frameMs,
+            });
+          },
+          function (err) {
+            releaseRenderer(r);
+            answerFailed("exportFrames", msg.id, err);
+          },
+        );
+    } catch (err) {
+      if (r) releaseRenderer(r);
+      answerFailed("exportFrames", msg.id, err);
+    }
+  }
 
-    if (tr.z < 1.1) {
-      tr.recycleWait += dt;
-      if (tr.recycleWait >= RECYCLE_DELAY_MS) {
-        tr.z += recOffset;
-        tr.fade = 0;
-        tr.recycleWait = 0;
+  function handle(msg) {
+    if (msg.type === "init") {
+      init(msg);
+    } else if (!scene) {
+      if (msg.type === "destroy") return; // already gone
+      const message = "Forest is not running (" + msg.type + ")";
+      if (msg.id !== undefined && ANSWER_TYPES[msg.type]) {
+        answerFailed(ANSWER_TYPES[msg.type], msg.id, message);
+      } else {
+        fail("not-ready", message, false);
       }
+    } else if (msg.type === "resize") {
+      scene.resize(msg.w, msg.h, msg.dpr);
+    } else if (msg.type === "theme") {
+      scene.setTheme(msg.theme);
+    } else if (msg.type === "pause") {
+      scene.pause();
+    } else if (msg.type === "resume") {
+      scene.resume();
+    } else if (msg.type === "motion") {
+      scene.setReducedMotion(!!msg.reduced);
+    } else if (msg.type === "config") {
+      scene.applyConfig(msg.config);
+    } else if (msg.type === "input") {
+      scene.setInput(msg.x);
+    } else if (msg.type === "camera") {
+      scene.playCamera(msg.layer, msg.timeline);
+    } else if (msg.type === "cameraScroll") {
+      scene.scrubCamera(msg.layer, msg.progress);
+    } else if (msg.type === "particles") {
+      scene.setParticles(msg.preset);
+    } else if (msg.type === "seed") {
+      scene.setSeed(msg.seed, msg.time);
+    } else if (msg.type === "getState") {
+      const state = scene.getState();
+      send({ type: "state", id: msg.id, seed: state.seed, time: state.time });
+    } else if (msg.type === "stats") {
+      watchStats(!!msg.on);
+    } else if (msg.type === "poster") {
+      poster(msg);
+    } else if (msg.type === "export") {
+      exportImage(msg);
+    } else if (msg.type === "exportFrames") {
+      exportFrames(msg);
+    } else if (msg.type === "destroy") {
+      watchStats(false);
+      scene.pause();
+      scene.setRenderer(null);
+      scene = null;
+      canvas = null;
     } else {
-      tr.recycleWait = 0;
+      fail("unknown-message", "Unknown message type: " + msg.type, false);
     }
   }
 
-  sortByZDesc(trees);
+  return function (msg) {
+    if (!msg || msg.v !== PROTOCOL_VERSION) {
+      fail(
+        "version",
+        "Protocol version " +
+          (msg && msg.v) +
+          " sent, " +
+          PROTOCOL_VERSION +
+          " expected",
+        true,
+      );
+      return;
+    }
+    try {
+      handle(msg);
+    } catch (err) {
+      fail("exception", String((err && err.message) || err), true);
+    }
+  };
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Frame loop                                                                */
+/*  Bootstrap — Web Worker vs main thread                                     */
 /* ═══════════════════════════════════════════════════════════════════════════ */
-let lastT = 0;
-
-function frame(ts) {
-  if (ts === undefined) ts = performance.now();
-  const dt = lastT ? Math.min(ts - lastT, 48) : 16;
-  lastT = ts;
-
-  /* Animate theme transition (no-op when not transitioning) */
-  updateThemeTransition(ts);
-
-  /* Background */
-  ctx.globalAlpha = 1;
-  ctx.fillStyle = g.bg;
-  ctx.fillRect(0, 0, W, H);
-
-  update(dt, ts);
-
-  /* Trees (painter's order: far → near) */
-  for (let i = 0, n = trees.length; i < n; i++) drawTree(trees[i]);
-
-  /* Depth-fog overlay */
-  ctx.globalAlpha = 1;
-  ctx.fillStyle = g.fog;
-  ctx.fillRect(0, 0, W, H);
-
-  scheduleFrame();
-}
+if (IS_WORKER) {
+  /* ── Worker: one forest, driven by its element ──────────────────── */
+  let loadError = null;
+  try {
+    importScripts.apply(self, FOREST_MODULES);
+  } catch (err) {
+    loadError = String((err && err.message) || err);
+  }
 
-function scheduleFrame() {
-  if (typeof requestAnimationFrame === "function") {
-    requestAnimationFrame(frame);
+  if (loadError) {
+    /* Nothing to draw with — say why, then stay quiet */
+    self.postMessage({
+      type: "error",
+      v: PROTOCOL_VERSION,
+      reason: "load",
+      message: loadError,
+      fatal: true,
+    });
   } else {
-    setTimeout(function () {
-      frame(performance.now());
-    }, 16);
+    const handle = createPort(function (msg) {
+      self.postMessage(msg);
+    });
+    self.onmessage = function (e) {
+      handle(e.data);
+    };
   }
-}
-
-/* ═══════════════════════════════════════════════════════════════════════════ */
-/*  Bootstrap — Web Worker vs main thread                                     */
-/* ═══════════════════════════════════════════════════════════════════════════ */
-if (IS_WORKER) {
-  /* ── Worker: receive canvas + resize + theme messages ─────────────── */
-  self.onmessage = function (e) {
-    var msg = e.data;
-    if (msg.type === "init") {
-      canvas = msg.canvas;
-      ctx = canvas.getContext("2d");
-      cur = cloneTheme(msg.theme || DEFAULT_THEME);
-      themeTransitioning = false;
-      buildForest();
-      handleResize(msg.w, msg.h, msg.dpr);
-      scheduleFrame();
-    } else if (msg.type === "resize") {
-      handleResize(msg.w, msg.h, msg.dpr);
-    } else if (msg.type === "theme") {
-      setThemeTarget(msg.theme);
-    }
-  };
 } else {
   /* ── Main-thread fallback (OffscreenCanvas not available) ──────────── */
-  canvas = document.querySelector("canvas");
-  ctx = canvas.getContext("2d");
-
-  cur = cloneTheme(window.__bgTheme || DEFAULT_THEME);
-  themeTransitioning = false;
-
-  buildForest();
-
-  var resizeMain = function () {
-    handleResize(innerWidth, innerHeight, 1);
-  };
-  resizeMain();
-
-  var resizeTimer;
-  window.addEventListener("resize", function () {
-    clearTimeout(resizeTimer);
-    resizeTimer = setTimeout(resizeMain, 120);
-  });
-
-  /* Expose setter so bg.js can push theme updates in fallback mode */
-  window.__bgSetTheme = function (theme) {
-    setThemeTarget(theme);
+  /* Modules load next to this script; async = false keeps their order.
+     Elements wait for `ready`, then open one port each. */
+  var bgBase = document.currentScript
+    ? document.currentScript.src
+    : location.href;
+  self.ForestFallback = {
+    ready: new Promise(function (resolve, reject) {
+      var pending = FOREST_MODULES.length;
+      FOREST_MODULES.forEach(function (name) {
+        var s = document.createElement("script");
+        s.src = new URL(name, bgBase).href;
+        s.async = false;
+        s.onload = function () {
+          if (--pending === 0) resolve();
+        };
+        s.onerror = function () {
+          reject(new Error("Could not load " + name));
+        };
+        document.head.appendChild(s);
+      });
+    }),
+    createPort: createPort,
   };
-
-  scheduleFrame();
 }
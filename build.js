@@ -0,0 +1,549 @@
+/**
+ * Forest fly-through — static build.
+ * Writes the site to dist/ ready to serve, with what a crawler or a link
+ * preview needs already in index.html:
+ *
+ *   • the sections of content.json, rendered by main.js's own renderer
+ *     (the page keeps these nodes when they match what it would render)
+ *   • <title>, description, canonical link, Open Graph / Twitter tags and
+ *     a schema.org Person record, made from content.json's "site" and its
+ *     sections
+ *   • sitemap.xml (lastmod: content.json's last commit, when in a git
+ *     checkout), and og.png — a still of the forest in the :root palette
+ *     of styles.css, drawn by forest-2d.js into a recording context and
+ *     rasterised by forest-raster.js
+ *
+ *   node build.js [--url https://example.com/] [--out dist]
+ *
+ * The site's address (for absolute links) is content.json's site.url
+ * unless --url says otherwise. Plain Node, no dependencies. The Pages
+ * workflow (.github/workflows/pages.yml) runs this and publishes dist/.
+ */
+const childProcess = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const zlib = require("zlib");
+const ForestColor = require("./forest-color.js");
+const ForestCore = require("./forest-core.js");
+const Forest2D = require("./forest-2d.js");
+const ForestRecorder = require("./forest-recorder.js");
+const ForestRaster = require("./forest-raster.js");
+
+const ROOT = __dirname;
+/* Everything the page loads (sw.js PRECACHE) and what the server hands out
+   besides; index.html and robots.txt are written, the rest copied. */
+const SITE_FILES = [
+  "styles.css",
+  "forest-color.js",
+  "main.js",
+  "content.json",
+  "camera.json",
+  "forest-background.js",
+  "bg-worker.js",
+  "forest-core.js",
+  "forest-2d.js",
+  "forest-gl.js",
+  "me.avif",
+  "manifest.webmanifest",
+  "icon.svg",
+  "sw.js",
+];
+/* Markdown of the routed pages (main.js ROUTES), copied when present */
+const PAGES_DIR = "pages";
+const PREVIEW = { file: "og.png", width: 1200, height: 630, timeMs: 12000 };
+const PREVIEW_ALT =
+  "A sunlit forest seen from below, the background of the page";
+const DESCRIPTION_MAX = 160;
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  main.js in a sandbox                                                      */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/* Just enough DOM for renderSection(): elements that serialise themselves
+   the way a browser would parse them back */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function escapeAttr(value) {
+  return escapeText(value).replace(/"/g, "&quot;");
+}
+
+function StaticText(text) {
+  this.text = text;
+}
+StaticText.prototype.toHtml = function () {
+  return escapeText(this.text);
+};
+
+function StaticElement(tag) {
+  this.tag = tag;
+  this.attributes = {};
+  this.children = [];
+}
+StaticElement.prototype.setAttribute = function (name, value) {
+  this.attributes[name] = String(value);
+};
+StaticElement.prototype.appendChild = function (node) {
+  this.children.push(node);
+  return node;
+};
+StaticElement.prototype.toHtml = function () {
+  const attrs = Object.keys(this.attributes).map(function (name) {
+    return " " + name + '="' + escapeAttr(this.attributes[name]) + '"';
+  }, this);
+  const inner = this.children.map(function (node) {
+    return node.toHtml();
+  });
+  return (
+    "<" +
+    this.tag +
+    attrs.join("") +
+    ">" +
+    inner.join("") +
+    "</" +
+    this.tag +
+    ">"
+  );
+};
+Object.defineProperty(StaticElement.prototype, "textContent", {
+  set(text) {
+    this.children = [new StaticText(text)];
+  },
+});
+/* Properties main.js sets, reflected as the attributes they stand for */
+[
+  ["className", "class"],
+  ["id", "id"],
+  ["href", "href"],
+  ["target", "target"],
+  ["dateTime", "datetime"],
+].forEach(function (pair) {
+  Object.defineProperty(StaticElement.prototype, pair[0], {
+    get() {
+      return this.attributes[pair[1]] || "";
+    },
+    set(value) {
+      this.setAttribute(pair[1], value);
+    },
+  });
+});
+
+/** main.js's content model and renderer, fetching from the source tree.
+ *  Relative URLs in the content resolve against location.href. */
+function loadSite() {
+  const sandbox = {
+    SITE_BUILD: true, // main.js: don't start the page
+    console: console,
+    URL: URL,
+    location: { href: "about:blank" },
+    document: {
+      documentElement: { lang: "" }, // set once the locale is known
+      createElement(tag) {
+        return new StaticElement(tag);
+      },
+      createTextNode(text) {
+        return new StaticText(text);
+      },
+    },
+    fetch(file) {
+      return new Promise(function (resolve) {
+        fs.readFile(path.join(ROOT, file), "utf8", function (err, text) {
+          resolve({
+            ok: !err,
+            status: err ? 404 : 200,
+            statusText: err ? err.code : "OK",
+            json() {
+              return Promise.resolve().then(function () {
+                return JSON.parse(text);
+              });
+            },
+          });
+        });
+      });
+    },
+  };
+  const context = vm.createContext(sandbox);
+  const file = path.join(ROOT, "main.js");
+  vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+  const site = vm.runInContext(
+    "({ DEFAULT_LOCALE, LOCALES, CONTENT_SITE, fetchContent, loadContent, " +
+      "checkFields, renderSection })",
+    context,
+  );
+  site.document = sandbox.document;
+  site.location = sandbox.location;
+  return site;
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Metadata                                                                  */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/** `text` on one line, cut at a word to at most `max` characters. */
+function clip(text, max) {
+  text = text.replace(/\s+/g, " ").trim();
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return (space > max / 2 ? cut.slice(0, space) : cut) + "…";
+}
+
+/** Page title, description and the Person record's fields. */
+function describe(site, sections) {
+  const about = sections.filter(function (s) {
+    return s.type === "about";
+  })[0];
+  const links = [];
+  let email;
+  sections.forEach(function (s) {
+    if (s.type !== "contact") return;
+    if (s.email && !email) email = s.email;
+    (s.links || []).forEach(function (link) {
+      if (/^https?:/.test(link.url)) links.push(link.url);
+    });
+  });
+  return {
+    title: site.jobTitle ? site.name + " — " + site.jobTitle : site.name,
+    description: clip(
+      about ? about.body.join(" ") : site.jobTitle || site.name,
+      DESCRIPTION_MAX,
+    ),
+    sameAs: links,
+    email: email,
+  };
+}
+
+function headTags(site, info, url) {
+  const image = new URL(PREVIEW.file, url).href;
+  const person = {
+    "@context": "https://schema.org",
+    "@type": "Person",
+    name: site.name,
+    url: url,
+    image: new URL("me.avif", url).href,
+    description: info.description,
+  };
+  if (site.jobTitle) person.jobTitle = site.jobTitle;
+  if (info.email) person.email = "mailto:" + info.email;
+  if (info.sameAs.length) person.sameAs = info.sameAs;
+
+  const meta = function (attr, name, content) {
+    return (
+      "<meta " + attr + '="' + name + '" content="' + escapeAttr(content) + '">'
+    );
+  };
+  return [
+    "<title>" + escapeText(info.title) + "</title>",
+    meta("name", "description", info.description),
+    '<link rel="canonical" href="' + escapeAttr(url) + '">',
+    meta("property", "og:type", "website"),
+    meta("property", "og:site_name", site.name),
+    meta("property", "og:title", info.title),
+    meta("property", "og:description", info.description),
+    meta("property", "og:url", url),
+    meta("property", "og:image", image),
+    meta("property", "og:image:width", String(PREVIEW.width)),
+    meta("property", "og:image:height", String(PREVIEW.height)),
+    meta("property", "og:image:alt", PREVIEW_ALT),
+    meta("name", "twitter:card", "summary_large_image"),
+    meta("name", "twitter:title", info.title),
+    meta("name", "twitter:description", info.description),
+    meta("name", "twitter:image", image),
+    meta("name", "twitter:image:alt", PREVIEW_ALT),
+    /* "<" escaped, so no string in it can close the script element */
+    '<script type="application/ld+json">' +
+      JSON.stringify(person).replace(/</g, "\\u003c") +
+      "</script>",
+  ];
+}
+
+/** sitemap.xml for the one page; without `lastmod` the field is left out. */
+function sitemap(url, lastmod) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    "  <url>",
+    "    <loc>" + escapeAttr(url) + "</loc>",
+  ]
+    .concat(lastmod ? ["    <lastmod>" + lastmod + "</lastmod>"] : [])
+    .concat(["  </url>", "</urlset>", ""])
+    .join("\n");
+}
+
+/** YYYY-MM-DD of the last commit that touched `file`, or null when that is
+ *  not known (no git, not a checkout, or a shallow one). The file's mtime
+ *  is no use: in a fresh clone it is the time of the clone. */
+function lastCommitDate(file) {
+  try {
+    const git = function (args) {
+      return childProcess
+        .execFileSync("git", args, {
+          cwd: ROOT,
+          encoding: "utf8",
+          stdio: ["ignore", "pipe", "ignore"],
+        })
+        .trim();
+    };
+    /* A shallow clone dates every file by its oldest commit */
+    if (git(["rev-parse", "--is-shallow-repository"]) === "true") return null;
+    const date = git(["log", "-1", "--format=%cs", "--", file]);
+    return /^\d{4}-\d\d-\d\d$/.test(date) ? date : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Preview image                                                             */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/** The forest palette from the :root block of styles.css, read the way
+ *  <forest-background> reads its custom properties (forest-color.js does
+ *  the colours, so any hex / rgb() / hsl() works). Values that do not
+ *  parse are warned about and left null, i.e. the scene's default. */
+function rootTheme(css) {
+  const block = /:root\s*\{([^}]*)\}/.exec(css);
+  const vars = {};
+  const decl = /(--[\w-]+)\s*:\s*([^;]+);/g;
+  let m;
+  while (block && (m = decl.exec(block[1]))) vars[m[1]] = m[2].trim();
+
+  const problems = [];
+  const color = function (name) {
+    if (!vars[name]) return null;
+    const c = ForestColor.parseColor(vars[name]);
+    if (!c) problems.push(name + ": " + vars[name] + " is not a colour");
+    return c;
+  };
+  /* `percent` is what 100% stands for; hues may carry a unit instead */
+  const number = function (name, percent) {
+    if (!vars[name]) return null;
+    const n = /hue/.test(name)
+      ? ForestColor.cssHue(vars[name])
+      : ForestColor.cssNumber(vars[name], percent);
+    if (isFinite(n)) return n;
+    problems.push(name + ": " + vars[name] + " is not a number");
+    return null;
+  };
+  const species = {};
+  ForestCore.SPECIES_NAMES.forEach(function (name) {
+    species[name] = number("--species-" + name, 1);
+  });
+  const theme = {
+    sky: [1, 2, 3, 4, 5, 6].map(function (i) {
+      const c = color("--sky-" + i);
+      return c && c.slice(0, 3);
+    }),
+    /* A fog colour's own alpha wins over --fog-N-a; with neither the fog
+       keeps the default alpha (opaque fog would hide the forest) */
+    fog: [1, 2, 3, 4].map(function (i) {
+      const c = color("--fog-" + i);
+      if (!c || c[3] < 1) return c;
+      const a = number("--fog-" + i + "-a", 1);
+      const alpha = a !== null ? a : ForestCore.DEFAULT_THEME.fog[i - 1][3];
+      return c.slice(0, 3).concat(alpha);
+    }),
+    treeHueMin: number("--tree-hue-min", 100),
+    treeHueMax: number("--tree-hue-max", 100),
+    treeSat: number("--tree-sat", 100),
+    treeLightMin: number("--tree-light-min", 100),
+    treeLightMax: number("--tree-light-max", 100),
+    species: species,
+  };
+  if (problems.length) {
+    console.warn(
+      "[preview] styles.css :root: " +
+        problems.join("; ") +
+        " — using the default for these",
+    );
+  }
+  return theme;
+}
+
+/** RGBA pixels of the forest at PREVIEW.timeMs, default seed. */
+function renderPreview(theme) {
+  const scene = ForestCore.createScene({
+    theme: theme,
+    paused: true,
+    clock: ForestCore.createManualClock(),
+  });
+  const canvas = ForestRecorder.createCanvas();
+  scene.setRenderer(Forest2D.create(scene, canvas));
+  scene.resize(PREVIEW.width, PREVIEW.height, 1);
+  canvas.context.clear();
+  scene.stepTo(PREVIEW.timeMs);
+  return ForestRaster.paint(canvas.context.log, PREVIEW.width, PREVIEW.height);
+}
+
+const CRC_TABLE = (function () {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++)
+    c = CRC_TABLE[(c ^ buf[i]) & 255] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+/** 8-bit RGBA PNG; every row "Up"-filtered (the image is mostly vertical
+ *  gradients, so that is most of the compression). */
+function encodePng(rgba, width, height) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const o = y * (stride + 1);
+    raw[o] = 2;
+    for (let x = 0; x < stride; x++) {
+      const up = y ? rgba[(y - 1) * stride + x] : 0;
+      raw[o + 1 + x] = (rgba[y * stride + x] - up) & 255;
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Build                                                                     */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+const USAGE = "usage: node build.js --url <site address> [--out <dir>]";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--(\w+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error("unexpected argument " + argv[i] + "\n" + USAGE);
+    args[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+  }
+  return args;
+}
+
+/** Put `html` where `<!-- build:name -->` is, indented like the marker —
+ *  up to `<!-- /build:name -->` when the source has a stand-in there. */
+function fill(page, name, lines) {
+  const marker = new RegExp(
+    "^([ \\t]*)<!-- build:" +
+      name +
+      " -->$(?:[\\s\\S]*?^[ \\t]*<!-- /build:" +
+      name +
+      " -->$)?",
+    "m",
+  );
+  const m = marker.exec(page);
+  if (!m) throw new Error("index.html has no <!-- build:" + name + " -->");
+  return page.replace(marker, function () {
+    return lines
+      .map(function (line) {
+        return m[1] + line;
+      })
+      .join("\n");
+  });
+}
+
+/** `value` as an absolute http(s) URL, or null. */
+function siteAddress(value) {
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function build(args) {
+  const out = path.resolve(ROOT, args.out || "dist");
+  const data = JSON.parse(
+    fs.readFileSync(path.join(ROOT, "content.json"), "utf8"),
+  );
+  const site = loadSite();
+  const siteInfo = site.checkFields(data.site, site.CONTENT_SITE, "site");
+  if (!siteInfo) throw new Error("content.json has no usable site");
+  const siteUrl = siteAddress(args.url || siteInfo.url);
+  if (!siteUrl)
+    throw new Error("the site's http(s) address is missing\n" + USAGE);
+
+  site.location.href = siteUrl;
+  const locale = site.LOCALES[site.DEFAULT_LOCALE];
+  site.document.documentElement.lang = locale.lang;
+  return site.loadContent(site.DEFAULT_LOCALE).then(function (sections) {
+    const info = describe(siteInfo, sections);
+    let page = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+    page = fill(page, "head", headTags(siteInfo, info, siteUrl));
+    page = fill(
+      page,
+      "content",
+      sections.map(function (section, i) {
+        return site.renderSection(section, i).toHtml();
+      }),
+    );
+
+    fs.mkdirSync(out, { recursive: true });
+    SITE_FILES.forEach(function (file) {
+      fs.copyFileSync(path.join(ROOT, file), path.join(out, file));
+    });
+    if (fs.existsSync(path.join(ROOT, PAGES_DIR))) {
+      fs.cpSync(path.join(ROOT, PAGES_DIR), path.join(out, PAGES_DIR), {
+        recursive: true,
+      });
+    }
+    fs.writeFileSync(path.join(out, "index.html"), page);
+
+    const robots = fs.readFileSync(path.join(ROOT, "robots.txt"), "utf8");
+    fs.writeFileSync(
+      path.join(out, "robots.txt"),
+      robots.replace(/\n*$/, "\n") +
+        "Sitemap: " +
+        new URL("sitemap.xml", siteUrl).href +
+        "\n",
+    );
+    fs.writeFileSync(
+      path.join(out, "sitemap.xml"),
+      sitemap(siteUrl, lastCommitDate("content.json")),
+    );
+
+    const css = fs.readFileSync(path.join(ROOT, "styles.css"), "utf8");
+    const pixels = renderPreview(rootTheme(css));
+    fs.writeFileSync(
+      path.join(out, PREVIEW.file),
+      encodePng(pixels, PREVIEW.width, PREVIEW.height),
+    );
+    console.log("built " + (path.relative(process.cwd(), out) || "."));
+  });
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(function () {
+      return build(parseArgs(process.argv.slice(2)));
+    })
+    .catch(function (err) {
+      console.error("build failed: " + (err.message || err));
+      process.exitCode = 1;
+    });
+}
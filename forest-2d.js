@@ -0,0 +1,262 @@
+/**
+ * Forest fly-through — Canvas2D backend.
+ *  • Per-tree gradient objects cached (rebuilt only on resize / theme change)
+ *  • Per-tree HSL colour strings pre-baked, one set per tone of its species
+ *  • Trees the scene culls never reach a draw call
+ *  • Particles merged into the far → near tree order, one fill each
+ *
+ * Works with any object that implements the few CanvasRenderingContext2D
+ * members used here — see forest-recorder.js.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./forest-core.js"));
+  } else {
+    root.Forest2D = factory(root.ForestCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (ForestCore) {
+  const DEPTH_QUANT = ForestCore.DEPTH_QUANT;
+  const SPECIES = ForestCore.SPECIES;
+  const rgbStr = ForestCore.rgbStr;
+  const rgbaStr = ForestCore.rgbaStr;
+  const FOG_STOPS = [0.0, 0.44, 0.56, 1.0];
+
+  /** Canvas2D renderer for `scene` on `canvas`, or null without a 2D context. */
+  function createCanvas2dRenderer(scene, canvas) {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return null;
+    const view = scene.view;
+    const g = {}; // background & fog gradient cache
+    const q = {}; // projectTree() output, reused for every tree
+    const pq = {}; // projectParticle() output
+    const TAU = Math.PI * 2;
+
+    /** One colour string per depth step for `hue` shifted by `tone`. */
+    function bakeTone(out, hue, tone) {
+      var cur = scene.theme;
+      var h = (hue + tone.dh).toFixed(1);
+      var sat = Math.min(100, cur.treeSat * tone.ds).toFixed(1);
+      var lMin = cur.treeLightMin;
+      var lMax = cur.treeLightMax;
+
+      for (var d = 0; d < DEPTH_QUANT; d++) {
+        var l = lMin + (d / (DEPTH_QUANT - 1)) * (lMax - lMin) + tone.dl;
+        l = l < 0 ? 0 : l > 100 ? 100 : l;
+        out[d] = "hsl(" + h + "," + sat + "%," + l.toFixed(1) + "%)";
+      }
+      return out;
+    }
+
+    /** Regenerate per-tree body, part and gradient-stop colour strings. */
+    function rebuildTreeColors(list) {
+      var cur = scene.theme;
+      for (var i = 0, n = list.length; i < n; i++) {
+        var t = list[i];
+        var sp = SPECIES[t.species];
+        if (!t.solidColors) {
+          t.solidColors = new Array(DEPTH_QUANT);
+          t.gradStops = new Array(4);
+        }
+        t.toneColors = {};
+        t.bakedSpecies = t.species;
+        var hue = cur.treeHueMin + t.hueRng * (cur.treeHueMax - cur.treeHueMin);
+        var lMin = cur.treeLightMin;
+        var lMax = cur.treeLightMax;
+
+        if (sp.trunk) bakeTone(t.solidColors, hue, sp.trunk);
+        for (var key in sp.tones) {
+          t.toneColors[key] = bakeTone(
+            new Array(DEPTH_QUANT),
+            hue,
+            sp.tones[key],
+          );
+        }
+
+        var g0 = Math.min(90, lMax + 28);
+        var g1 = Math.min(72, lMax + 16);
+        var g2 = Math.min(54, lMax + 6);
+        var g3 = Math.max(8, lMin - 4);
+        t.gradStops[0] =
+          "hsla(" + (hue - 14).toFixed(1) + ",86%," + g0.toFixed(1) + "%,0.62)";
+        t.gradStops[1] =
+          "hsla(" + (hue - 7).toFixed(1) + ",76%," + g1.toFixed(1) + "%,0.35)";
+        t.gradStops[2] =
+          "hsla(" + hue.toFixed(1) + ",66%," + g2.toFixed(1) + "%,0.11)";
+        t.gradStops[3] =
+          "hsla(" + (hue + 10).toFixed(1) + ",56%," + g3.toFixed(1) + "%,0)";
+      }
+    }
+
+    function buildSceneGradients() {
+      const cur = scene.theme;
+      const bg = ctx.createLinearGradient(0, 0, 0, view.h);
+      bg.addColorStop(0.0, rgbStr(cur.sky[0]));
+      bg.addColorStop(0.08, rgbStr(cur.sky[1]));
+      bg.addColorStop(0.25, rgbStr(cur.sky[2]));
+      bg.addColorStop(0.5, rgbStr(cur.sky[3]));
+      bg.addColorStop(0.74, rgbStr(cur.sky[4]));
+      bg.addColorStop(1.0, rgbStr(cur.sky[5]));
+      g.bg = bg;
+      buildFogGradient();
+      g.particle = rgbStr(view.particleColor);
+    }
+
+    /** The fog overlay, its alphas scaled by the camera's fog density. */
+    function buildFogGradient() {
+      const fog = ctx.createLinearGradient(0, 0, 0, view.h);
+      for (let i = 0; i < FOG_STOPS.length; i++) {
+        const c = scene.theme.fog[i];
+        const a = Math.min(1, c[3] * view.fog);
+        fog.addColorStop(FOG_STOPS[i], rgbaStr([c[0], c[1], c[2], a]));
+      }
+      g.fog = fog;
+      g.fogDensity = view.fog;
+    }
+
+    /** Rebuild per-tree cached gradient objects (topY / bottomY changed). */
+    function rebuildTreeGradients(list) {
+      for (let i = 0, n = list.length; i < n; i++) {
+        const t = list[i];
+        const gr = ctx.createLinearGradient(0, view.topY, 0, view.bottomY);
+        gr.addColorStop(0.0, t.gradStops[0]);
+        gr.addColorStop(0.15, t.gradStops[1]);
+        gr.addColorStop(0.46, t.gradStops[2]);
+        gr.addColorStop(1.0, t.gradStops[3]);
+        t.gradCache = gr;
+      }
+    }
+
+    function trunkPath() {
+      ctx.beginPath();
+      ctx.moveTo(q.vx - q.topW, view.topY);
+      ctx.lineTo(q.vx + q.topW, view.topY);
+      ctx.lineTo(q.screenX + q.baseW, view.bottomY);
+      ctx.lineTo(q.screenX - q.baseW, view.bottomY);
+      ctx.closePath();
+    }
+
+    /** A part's polygon, mapped from trunk space onto this tree. */
+    function partPath(points, t) {
+      const span = view.bottomY - view.topY;
+      ctx.beginPath();
+      for (let i = 0; i < points.length; i += 2) {
+        const u = points[i] + t.shift;
+        const x =
+          q.vx +
+          (q.screenX - q.vx) * u +
+          points[i + 1] * t.flip * (q.topW + (q.baseW - q.topW) * u);
+        const y = view.topY + span * u;
+        if (i) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+      }
+      ctx.closePath();
+    }
+
+    function drawTree(t) {
+      if (!scene.projectTree(t, q)) return;
+      /* Recycled into another species since the last bake */
+      if (t.bakedSpecies !== t.species) {
+        rebuildTreeColors([t]);
+        rebuildTreeGradients([t]);
+      }
+      const sp = SPECIES[t.species];
+      const dIdx = (q.depth * (DEPTH_QUANT - 1) + 0.5) | 0;
+      const solidA = (0.07 + q.depth * 0.28) * q.alpha;
+
+      if (sp.trunk) {
+        /* ── Solid body ── */
+        ctx.globalAlpha = Math.min(1, solidA * sp.trunk.da);
+        ctx.fillStyle = t.solidColors[dIdx];
+        trunkPath();
+        ctx.fill();
+
+        /* ── Gradient glow ── */
+        if (view.glow) {
+          ctx.globalAlpha = t.lit * q.alpha;
+          ctx.fillStyle = t.gradCache;
+          trunkPath();
+          ctx.fill();
+        }
+      }
+
+      /* ── Species parts, over the trunk ── */
+      for (let i = 0, n = sp.parts.length; i < n; i++) {
+        const part = sp.parts[i];
+        ctx.globalAlpha = Math.min(1, solidA * sp.tones[part.tone].da);
+        ctx.fillStyle = t.toneColors[part.tone][dIdx];
+        partPath(part.points, t);
+        ctx.fill();
+      }
+    }
+
+    function drawParticle(p) {
+      if (!scene.projectParticle(p, pq)) return;
+      ctx.fillStyle = g.particle;
+      if (view.particleStyle === "streak") {
+        ctx.globalAlpha = pq.alpha;
+        ctx.fillRect(pq.x - pq.r, pq.y - pq.len, pq.r * 2, pq.len);
+        return;
+      }
+      if (view.particleStyle === "glow") {
+        ctx.globalAlpha = pq.alpha * 0.16;
+        ctx.beginPath();
+        ctx.arc(pq.x, pq.y, pq.r * 4, 0, TAU);
+        ctx.fill();
+      }
+      ctx.globalAlpha = pq.alpha;
+      ctx.beginPath();
+      ctx.arc(pq.x, pq.y, pq.r, 0, TAU);
+      ctx.fill();
+    }
+
+    return {
+      name: "2d",
+      canvas: canvas,
+      ctx: ctx,
+
+      resize() {
+        ctx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
+      },
+
+      rebuildColors() {
+        buildSceneGradients();
+        rebuildTreeColors(scene.trees);
+        rebuildTreeColors(scene.retiring);
+        rebuildTreeGradients(scene.trees);
+        rebuildTreeGradients(scene.retiring);
+      },
+
+      draw() {
+        const trees = scene.trees;
+        const retiring = scene.retiring;
+        const particles = scene.particles;
+        const np = particles.length;
+        let pi = 0;
+
+        /* Background */
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = g.bg;
+        ctx.fillRect(0, 0, view.w, view.h);
+
+        /* Trees (painter's order: far → near), outgoing forest underneath,
+           each particle just before the first tree in front of it */
+        for (let i = 0, n = retiring.length; i < n; i++) drawTree(retiring[i]);
+        for (let i = 0, n = trees.length; i < n; i++) {
+          const t = trees[i];
+          while (pi < np && particles[pi].z > t.z)
+            drawParticle(particles[pi++]);
+          drawTree(t);
+        }
+        while (pi < np) drawParticle(particles[pi++]);
+
+        /* Depth-fog overlay */
+        ctx.globalAlpha = 1;
+        if (g.fogDensity !== view.fog) buildFogGradient();
+        ctx.fillStyle = g.fog;
+        ctx.fillRect(0, 0, view.w, view.h);
+      },
+    };
+  }
+
+  return { create: createCanvas2dRenderer };
+});
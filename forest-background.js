@@ -0,0 +1,999 @@
+/**
+ * Forest fly-through — <forest-background> custom element.
+ * Owns its canvas, its worker (or the main-thread fallback where there is
+ * no OffscreenCanvas) and the listeners that keep them in step with the
+ * page, so any number of forests can share one page:
+ *
+ *   <script src="forest-color.js"></script>
+ *   <script src="forest-background.js" defer></script>
+ *   <forest-background seed="moss" speed="1.5"></forest-background>
+ *
+ * Attributes, reflected by the properties of the same name:
+ *   theme   any name — changing it re-reads the palette, so CSS like
+ *           forest-background[theme="dusk"] { --sky-1: … } takes effect
+ *   seed    32-bit hex or any text (hashed), e.g. seed="moss"
+ *   speed   flight speed multiplier, 1 = default
+ *   paused  stops the animation (it also stops on its own while the page
+ *           is hidden or the element is scrolled out of view)
+ *   time    ms into the flight to start at, read when connected
+ *   poster-key
+ *           names the palette for poster frames in place of its exact
+ *           colours, for one that drifts (a time-of-day theme); read
+ *           along with each palette
+ *   data-*  scene settings at start, e.g. data-particles="snow" (see
+ *           CONFIG_SPEC in forest-core.js)
+ *
+ * The palette comes from the custom properties the site uses (--sky-1 …
+ * --tree-light-max) as computed on the element, colours in any CSS syntax,
+ * or from a theme object assigned to the `theme` property. Values that are
+ * missing or do not parse fall back to the default palette one by one,
+ * with a console warning. --species-trunk, -pine, -birch, -bare and -bush
+ * weigh the tree species against each other; without any of them every
+ * tree is a plain trunk. forest-color.js has to be on the page before this
+ * file runs; bg-worker.js and the other forest-*.js modules are loaded from
+ * next to it.
+ *
+ * Once the forest has settled, a small still of it goes to Cache Storage
+ * ("forest-posters"), one per palette (or poster-key) and size bucket.
+ * The next visit shows it at once, behind a canvas that fades in with its
+ * first frame, so the page never flashes an empty sky.
+ *
+ * Events:
+ *   ready   detail.renderer is "webgl2", "2d" or "static" (a still gradient
+ *           when nothing else worked), detail.thread "worker" or "main"
+ *   error   detail.reason and detail.message; detail.fallback ("main" or
+ *           "static") when the forest is restarting that way, absent when
+ *           it kept running (e.g. reason "unknown-message")
+ *   stats   once a second after setStats(true): frame statistics of the
+ *           last second (see takeStats in forest-core.js) as the detail
+ */
+(function () {
+  const SCRIPT_URL = document.currentScript
+    ? document.currentScript.src
+    : location.href;
+  const WORKER_URL = new URL("bg-worker.js", SCRIPT_URL).href;
+  const RESIZE_DELAY_MS = 120;
+  const READY_TIMEOUT_MS = 10000; // generous: the worker downloads its modules first
+  /* Must match bg-worker.js — a stale cached copy answers with another */
+  const PROTOCOL_VERSION = 3;
+
+  /* Gradient stops (%) of the sky and the fog, as in forest-2d.js */
+  const SKY_STOPS = [0, 8, 25, 50, 74, 100];
+  const FOG_STOPS = [0, 44, 56, 100];
+  /* Fog alphas of ForestCore.DEFAULT_THEME, for a fog colour that has none */
+  const FOG_ALPHAS = [0.1, 0.2, 0.2, 0.1];
+
+  /* Poster frames: a small still of the forest in Cache Storage, per
+     palette and size bucket, shown on the next visit until the live canvas
+     has drawn its first frame and faded in over it */
+  const POSTER_CACHE = "forest-posters";
+  const POSTER_BUCKET_PX = 160; // element sizes round up to a multiple
+  const POSTER_SCALE = 0.25; // poster pixels per CSS pixel
+  const POSTER_MAX = 8; // posters kept, the oldest dropped first
+  const POSTER_DELAY_MS = 6000; // settle time, past a theme cross-fade
+  const POSTER_FORMAT = "image/webp";
+  const POSTER_QUALITY = 0.7;
+  const FADE_MS = 600;
+
+  /* Replies that answer a request(), matched by id */
+  const ANSWER_TYPES = ["state", "export", "exportFrames"];
+
+  const STYLE =
+    ":host { display: block; position: relative; overflow: hidden; }" +
+    "canvas, .poster { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }" +
+    ".poster { object-fit: cover; }" +
+    "canvas { transition: opacity " +
+    FADE_MS +
+    "ms; }" +
+    "@media (prefers-reduced-motion: reduce) { canvas { transition: none; } }";
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Helpers                                                                 */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* Main-thread fallback: bg-worker.js (and the modules it pulls in) loads
+     once per page; each element then opens its own port. */
+  let fallbackLoad = null;
+
+  function loadFallback() {
+    if (!fallbackLoad) {
+      fallbackLoad = new Promise(function (resolve, reject) {
+        const s = document.createElement("script");
+        s.src = WORKER_URL;
+        s.onload = function () {
+          resolve(self.ForestFallback.ready);
+        };
+        s.onerror = function () {
+          reject(new Error("Could not load " + WORKER_URL));
+        };
+        document.head.appendChild(s);
+      });
+    }
+    return fallbackLoad;
+  }
+
+  /* ── Colours ──────────────────────────────────────────────────── */
+  /* forest-color.js, loaded before this file */
+  const parseColor = ForestColor.parseColor;
+  const cssNumber = ForestColor.cssNumber;
+  const cssHue = ForestColor.cssHue;
+
+  /* ── Theme ────────────────────────────────────────────────────── */
+  const SKY_VARS = [
+    "--sky-1",
+    "--sky-2",
+    "--sky-3",
+    "--sky-4",
+    "--sky-5",
+    "--sky-6",
+  ];
+  const FOG_VARS = ["--fog-1", "--fog-2", "--fog-3", "--fog-4"];
+  const NUMBER_VARS = {
+    treeHueMin: "--tree-hue-min",
+    treeHueMax: "--tree-hue-max",
+    treeSat: "--tree-sat",
+    treeLightMin: "--tree-light-min",
+    treeLightMax: "--tree-light-max",
+  };
+  /* Species mix (ForestCore SPECIES). Optional: a palette that sets none of
+     these keeps the default mix, one that sets some gives the rest none. */
+  const SPECIES_VARS = {
+    trunk: "--species-trunk",
+    pine: "--species-pine",
+    birch: "--species-birch",
+    bare: "--species-bare",
+    bush: "--species-bush",
+  };
+
+  /**
+   * Palette from the element's custom properties, or undefined when none
+   * of them is set. Colours may use any CSS syntax; a fog colour's own
+   * alpha wins over its --fog-N-a, and with neither (or an alpha of 1)
+   * the fog keeps its default alpha. A value that is missing or does not
+   * parse is reported and left null, which the scene replaces with its
+   * default for that field alone. --species-* weights are optional.
+   */
+  function readTheme(el) {
+    const s = getComputedStyle(el);
+    const problems = [];
+    let found = false;
+
+    function read(name) {
+      const raw = s.getPropertyValue(name).trim();
+      if (raw) found = true;
+      else problems.push(name + " is not set");
+      return raw;
+    }
+
+    function color(name) {
+      const raw = read(name);
+      const c = raw ? parseColor(raw) : null;
+      if (raw && !c) problems.push(name + ": " + raw + " is not a colour");
+      return c;
+    }
+
+    function number(name) {
+      const raw = read(name);
+      /* Hues may carry a unit, saturation / lightness a % */
+      const n = /hue/.test(name) ? cssHue(raw) : cssNumber(raw, 100);
+      if (raw && !isFinite(n)) {
+        problems.push(name + ": " + raw + " is not a number");
+      }
+      return raw && isFinite(n) ? n : null;
+    }
+
+    const theme = {
+      sky: SKY_VARS.map(function (name) {
+        const c = color(name);
+        return c && c.slice(0, 3);
+      }),
+      fog: FOG_VARS.map(function (name, i) {
+        const c = color(name);
+        const a = s.getPropertyValue(name + "-a").trim();
+        if (!c || c[3] < 1) return c;
+        /* Opaque fog would hide the forest */
+        if (!a) {
+          problems.push(name + " has no alpha and " + name + "-a is not set");
+          return c.slice(0, 3).concat(FOG_ALPHAS[i]);
+        }
+        const alpha = cssNumber(a, 1);
+        if (isFinite(alpha)) return c.slice(0, 3).concat(alpha);
+        problems.push(name + "-a: " + a + " is not a number");
+        return null;
+      }),
+    };
+    for (const key in NUMBER_VARS) theme[key] = number(NUMBER_VARS[key]);
+
+    let mix = null;
+    for (const key in SPECIES_VARS) {
+      const name = SPECIES_VARS[key];
+      const raw = s.getPropertyValue(name).trim();
+      if (!raw) continue;
+      const w = cssNumber(raw, 1);
+      if (w >= 0) {
+        mix = mix || {};
+        mix[key] = w;
+      } else {
+        problems.push(name + ": " + raw + " is not a weight");
+      }
+    }
+    theme.species = mix;
+
+    if (!found) return undefined; // no palette → the built-in default
+    /* Once per element and problem set, not on every theme change */
+    const warning = problems.join("; ");
+    if (warning && warning !== el._themeWarning) {
+      console.warn(
+        "[bg] <forest-background> theme: " +
+          warning +
+          " — using the default for these",
+      );
+    }
+    el._themeWarning = warning;
+    return theme;
+  }
+  /** CSS background for the still fallback: fog layered over sky. Stops
+   *  the theme has no valid value for are left out. */
+  function stillBackground(theme) {
+    function gradient(colors, positions, fn) {
+      const stops = [];
+      colors.forEach(function (c, i) {
+        if (Array.isArray(c) && c.every(isFinite)) {
+          stops.push(fn + "(" + c.join(",") + ") " + positions[i] + "%");
+        }
+      });
+      return stops.length > 1
+        ? "linear-gradient(" + stops.join(", ") + ")"
+        : "";
+    }
+    return [
+      gradient(theme.fog, FOG_STOPS, "rgba"),
+      gradient(theme.sky, SKY_STOPS, "rgb"),
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /** 32-bit FNV-1a hash of a string. */
+  function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /** Seed from a number, 32-bit hex or any other text (hashed). */
+  function parseSeed(value) {
+    if (typeof value === "number") {
+      return isFinite(value) ? value >>> 0 : undefined;
+    }
+    if (!value) return undefined;
+    value = String(value);
+    if (/^(0x)?[0-9a-f]{1,8}$/i.test(value)) {
+      return parseInt(value.replace(/^0x/i, ""), 16) >>> 0;
+    }
+    return hashText(value);
+  }
+
+  function parseNumber(value) {
+    const n = parseFloat(value);
+    return isFinite(n) ? n : undefined;
+  }
+
+  /* ── Poster frames ────────────────────────────────────────────── */
+  /* Keys are URLs under the size bucket, named after the palette (or
+     the poster-key standing for it): a poster of another palette is never
+     shown, and storing one replaces whatever its bucket held. Without
+     Cache Storage (insecure contexts, some private modes) there are
+     simply no posters. */
+  function posterKey(theme, w, h) {
+    const bucket = function (n) {
+      return Math.max(1, Math.ceil(n / POSTER_BUCKET_PX)) * POSTER_BUCKET_PX;
+    };
+    const name = hashText(JSON.stringify(theme || null)).toString(16);
+    return new URL(
+      "forest-poster/" + bucket(w) + "x" + bucket(h) + "/" + name,
+      SCRIPT_URL,
+    ).href;
+  }
+
+  function openPosters() {
+    return typeof caches === "undefined"
+      ? Promise.reject(new Error("Cache Storage unavailable"))
+      : caches.open(POSTER_CACHE);
+  }
+
+  /** Promise of the poster stored under `key` as a Blob, or null. */
+  function loadPoster(key) {
+    return openPosters()
+      .then(function (cache) {
+        return cache.match(key);
+      })
+      .then(function (res) {
+        return res ? res.blob() : null;
+      })
+      .catch(function () {
+        return null;
+      });
+  }
+
+  function storePoster(key, blob) {
+    const bucket = key.slice(0, key.lastIndexOf("/") + 1);
+    return openPosters()
+      .then(function (cache) {
+        return cache.keys().then(function (requests) {
+          /* keys() lists the oldest first */
+          const others = requests.filter(function (req) {
+            return req.url.indexOf(bucket) !== 0;
+          });
+          const stale = requests
+            .filter(function (req) {
+              return req.url.indexOf(bucket) === 0 && req.url !== key;
+            })
+            .concat(
+              others.slice(0, Math.max(0, others.length - POSTER_MAX + 1)),
+            );
+          return Promise.all(
+            stale.map(function (req) {
+              return cache.delete(req);
+            }),
+          ).then(function () {
+            return cache.put(
+              key,
+              new Response(blob, { headers: { "Content-Type": blob.type } }),
+            );
+          });
+        });
+      })
+      .catch(function () {
+        /* Full or unavailable — the next visit starts without a poster */
+      });
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Connection — one per connected element                                  */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /**
+   * Start a forest in `el` and the page listeners that drive it. It runs in
+   * a worker where the canvas can move off the main thread, else on the
+   * main thread, else as a still gradient of the palette: whenever the
+   * current one fails — an "error" reply, the worker crashing, no "ready"
+   * within READY_TIMEOUT_MS — the next one starts on a fresh canvas (a
+   * transferred canvas cannot be reused). Each canvas stays transparent
+   * until its first frame, then fades in over the cached poster frame,
+   * if there is one. Returns { send(msg),
+   * setTheme(theme), setUserPaused(on), request(msg), requestState(),
+   * renderer(),
+   * destroy() }.
+   */
+  function connectForest(el) {
+    const motionMq = matchMedia("(prefers-reduced-motion: reduce)");
+    const hiddenBy = {
+      page: document.hidden,
+      frozen: false,
+      offscreen: false,
+      user: el.paused,
+    };
+    let paused = isPaused();
+    let mode =
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen ===
+        "function" && typeof Worker === "function"
+        ? "worker"
+        : "main";
+    let canvas = null;
+    let worker = null;
+    let port = null; // fallback message handler, once loaded
+    let attempt = 0; // replies from an abandoned attempt are dropped
+    let ready = false;
+    let readyTimer = 0;
+    let rendererName = null;
+    let queue = []; // messages sent before "ready"
+    let destroyed = false;
+    let resizeTimer = 0;
+    let requestId = 0;
+    const requests = {}; // by id: { msg, resolve, reject } of request()
+    let palette = el._themeObject || readTheme(el); // last sent, keys posters
+    let paletteName = el.getAttribute("poster-key"); // keys them instead
+    let poster = null; // <img> of the cached poster while it shows
+    let live = false; // a canvas has drawn
+    let posterTimer = 0;
+
+    function isPaused() {
+      return (
+        hiddenBy.page || hiddenBy.frozen || hiddenBy.offscreen || hiddenBy.user
+      );
+    }
+
+    function send(msg) {
+      if (destroyed || mode === "static") return;
+      msg.v = PROTOCOL_VERSION;
+      if (!ready) queue.push(msg);
+      else if (worker) worker.postMessage(msg);
+      else port(msg);
+    }
+
+    function dispatch(type, detail) {
+      el.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    /* ── Replies ──────────────────────────────────────────────────── */
+    function onReply(msg) {
+      if (destroyed) return;
+      if (!msg || msg.v !== PROTOCOL_VERSION) {
+        recover(
+          "version",
+          "bg-worker.js speaks protocol " +
+            (msg && msg.v) +
+            ", " +
+            PROTOCOL_VERSION +
+            " expected",
+        );
+      } else if (msg.type === "drawn") {
+        reveal();
+      } else if (msg.type === "poster") {
+        if (msg.key === currentPosterKey()) storePoster(msg.key, msg.blob);
+      } else if (msg.type === "ready") {
+        clearTimeout(readyTimer);
+        ready = true;
+        rendererName = msg.renderer;
+        const pending = queue;
+        queue = [];
+        pending.forEach(send);
+        dispatch("ready", { renderer: msg.renderer, thread: mode });
+      } else if (msg.type === "error") {
+        if (msg.fatal) recover(msg.reason, msg.message);
+        else dispatch("error", { reason: msg.reason, message: msg.message });
+      } else if (msg.type === "stats") {
+        dispatch("stats", msg.stats);
+      } else if (ANSWER_TYPES.indexOf(msg.type) >= 0) {
+        const pending = requests[msg.id];
+        if (!pending) return;
+        delete requests[msg.id];
+        if (msg.error) pending.reject(new Error(msg.error));
+        else pending.resolve(msg);
+      } else {
+        dispatch("error", {
+          reason: "unknown-message",
+          message: "Unknown reply type: " + msg.type,
+        });
+      }
+    }
+
+    /* ── Start, give up, fall back ────────────────────────────────── */
+    function initMessage() {
+      const config = Object.assign({}, el.dataset, el._config);
+      const speed = parseNumber(el.getAttribute("speed"));
+      if (speed !== undefined) config.speed = speed;
+      return {
+        type: "init",
+        v: PROTOCOL_VERSION,
+        canvas: canvas,
+        w: el.clientWidth,
+        h: el.clientHeight,
+        dpr: window.devicePixelRatio || 1,
+        theme: palette,
+        paused: paused,
+        reducedMotion: motionMq.matches,
+        config: config,
+        seed: parseSeed(el.getAttribute("seed")),
+        time: parseNumber(el.getAttribute("time")),
+        stats: el._stats,
+        camera: el._camera,
+      };
+    }
+
+    function start() {
+      const current = ++attempt;
+      canvas = document.createElement("canvas");
+      el.shadowRoot.appendChild(canvas);
+      if (mode === "static") {
+        showStill(palette);
+        return;
+      }
+      canvas.style.opacity = "0";
+
+      const init = initMessage();
+      readyTimer = setTimeout(function () {
+        recover("timeout", "No reply within " + READY_TIMEOUT_MS + " ms");
+      }, READY_TIMEOUT_MS);
+
+      if (mode === "worker") {
+        init.canvas = canvas.transferControlToOffscreen();
+        try {
+          worker = new Worker(WORKER_URL);
+        } catch (err) {
+          recover("worker", err.message); // e.g. blocked by CSP
+          return;
+        }
+        worker.onmessage = function (e) {
+          onReply(e.data);
+        };
+        /* Script missing or an uncaught exception inside the worker */
+        worker.onerror = function (e) {
+          e.preventDefault();
+          recover("worker", e.message || "Could not load " + WORKER_URL);
+        };
+        worker.postMessage(init, [init.canvas]);
+        return;
+      }
+
+      loadFallback().then(
+        function () {
+          if (current !== attempt) return;
+          port = self.ForestFallback.createPort(function (msg) {
+            if (current === attempt) onReply(msg);
+          });
+          port(init);
+        },
+        function (err) {
+          if (current === attempt) recover("load", err.message);
+        },
+      );
+    }
+
+    /** Reject the requests no one will answer: every one, or with
+     *  `posted` only those the current attempt was sent — the queued ones
+     *  go to the next. */
+    function rejectRequests(message, posted) {
+      Object.keys(requests).forEach(function (id) {
+        if (posted && queue.indexOf(requests[id].msg) >= 0) return;
+        requests[id].reject(new Error(message));
+        delete requests[id];
+      });
+    }
+
+    /** Drop the current attempt: its worker or scene and its canvas. */
+    function stop() {
+      rejectRequests("Forest restarted", true);
+      attempt++;
+      clearTimeout(readyTimer);
+      if (worker) {
+        worker.onmessage = worker.onerror = null;
+        worker.terminate();
+        worker = null;
+      }
+      if (port) {
+        port({ type: "destroy", v: PROTOCOL_VERSION });
+        port = null;
+      }
+      if (canvas) canvas.remove();
+      canvas = null;
+      ready = false;
+      rendererName = null;
+    }
+
+    /** Report why the current mode failed and start the next one. */
+    function recover(reason, message) {
+      if (destroyed || mode === "static") return;
+      const next = mode === "worker" ? "main" : "static";
+      dispatch("error", { reason: reason, message: message, fallback: next });
+      stop();
+      mode = next;
+      /* The next init carries everything else the queue would have said */
+      queue = queue.filter(function (msg) {
+        return msg.id !== undefined; // requests still want their answer
+      });
+      start();
+    }
+
+    /* Last resort: the palette's sky and fog as CSS gradients on the canvas,
+       the same stops the 2D backend paints */
+    function showStill(theme) {
+      rendererName = "static";
+      removePoster();
+      canvas.style.background = theme ? stillBackground(theme) : "";
+      rejectRequests("Forest is not running");
+      queue = [];
+      dispatch("ready", { renderer: "static", thread: null });
+    }
+
+    /* ── Poster frame ─────────────────────────────────────────────── */
+    function currentPosterKey() {
+      return posterKey(paletteName || palette, el.clientWidth, el.clientHeight);
+    }
+
+    function showPoster() {
+      const key = currentPosterKey();
+      loadPoster(key).then(function (blob) {
+        if (!blob || destroyed || live || poster) return;
+        if (mode === "static" || key !== currentPosterKey()) return;
+        poster = document.createElement("img");
+        poster.className = "poster";
+        poster.alt = "";
+        poster.src = URL.createObjectURL(blob);
+        el.shadowRoot.insertBefore(poster, canvas);
+      });
+    }
+
+    function removePoster() {
+      if (!poster) return;
+      URL.revokeObjectURL(poster.src);
+      poster.remove();
+      poster = null;
+    }
+
+    /* First frame of this canvas: fade it in, then drop the poster */
+    function reveal() {
+      live = true;
+      canvas.style.opacity = "";
+      setTimeout(removePoster, FADE_MS);
+      schedulePoster();
+    }
+
+    /* A new poster once things have settled after the first frame, a theme
+       change or a resize — unless the cache already has this one */
+    function schedulePoster() {
+      clearTimeout(posterTimer);
+      posterTimer = setTimeout(requestPoster, POSTER_DELAY_MS);
+    }
+
+    function requestPoster() {
+      if (typeof caches === "undefined" || !ready) return;
+      const key = currentPosterKey();
+      loadPoster(key).then(function (blob) {
+        if (blob || !ready || key !== currentPosterKey()) return;
+        send({
+          type: "poster",
+          key: key,
+          w: Math.max(1, Math.round(el.clientWidth * POSTER_SCALE)),
+          h: Math.max(1, Math.round(el.clientHeight * POSTER_SCALE)),
+          format: POSTER_FORMAT,
+          quality: POSTER_QUALITY,
+        });
+      });
+    }
+
+    /* ── Pause while hidden, frozen, scrolled away or paused ────────── */
+    function updatePaused() {
+      const p = isPaused();
+      if (p === paused) return;
+      paused = p;
+      send({ type: p ? "pause" : "resume" });
+    }
+
+    function onVisibility() {
+      hiddenBy.page = document.hidden;
+      updatePaused();
+    }
+
+    /* Page Lifecycle API (Chromium): tab frozen / thawed by the browser */
+    function onFreeze() {
+      hiddenBy.frozen = true;
+      updatePaused();
+    }
+
+    function onResume() {
+      hiddenBy.frozen = false;
+      updatePaused();
+    }
+
+    function onMotion(e) {
+      send({ type: "motion", reduced: e.matches });
+    }
+
+    document.addEventListener("visibilitychange", onVisibility);
+    document.addEventListener("freeze", onFreeze);
+    document.addEventListener("resume", onResume);
+    motionMq.addEventListener("change", onMotion);
+
+    const intersection =
+      typeof IntersectionObserver === "function"
+        ? new IntersectionObserver(function (entries) {
+            hiddenBy.offscreen = !entries[entries.length - 1].isIntersecting;
+            updatePaused();
+          })
+        : null;
+    if (intersection) intersection.observe(el);
+
+    /* ── Size follows the element ─────────────────────────────────── */
+    function sendResize() {
+      send({
+        type: "resize",
+        w: el.clientWidth,
+        h: el.clientHeight,
+        dpr: window.devicePixelRatio || 1,
+      });
+    }
+
+    let sized = false; // the first observation only repeats the init size
+    const resizeObserver = new ResizeObserver(function () {
+      if (!sized) {
+        sized = true;
+        return;
+      }
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(sendResize, RESIZE_DELAY_MS);
+      if (live) schedulePoster();
+    });
+    resizeObserver.observe(el);
+
+    start();
+    showPoster();
+
+    return {
+      send: send,
+
+      /** New palette; a poster of the old one no longer stands for it. */
+      setTheme(theme) {
+        const key = currentPosterKey();
+        palette = theme;
+        paletteName = el.getAttribute("poster-key");
+        const changed = currentPosterKey() !== key;
+        if (changed) removePoster();
+        if (mode === "static") {
+          showStill(theme);
+          return;
+        }
+        send({ type: "theme", theme: theme });
+        if (changed && live) schedulePoster();
+      },
+
+      setUserPaused(on) {
+        hiddenBy.user = on;
+        updatePaused();
+      },
+
+      /** Send `msg` with a fresh id; resolves to the answer to it. */
+      request(msg) {
+        return new Promise(function (resolve, reject) {
+          if (destroyed || mode === "static") {
+            reject(new Error("Forest is not running"));
+            return;
+          }
+          msg.id = ++requestId;
+          requests[msg.id] = { msg: msg, resolve: resolve, reject: reject };
+          send(msg);
+        });
+      },
+
+      /** Resolves to { seed, time } — enough to reproduce the view. */
+      requestState() {
+        return this.request({ type: "getState" }).then(function (msg) {
+          return { seed: msg.seed, time: msg.time };
+        });
+      },
+
+      /** "webgl2", "2d" or "static" once ready, else null. */
+      renderer() {
+        return rendererName;
+      },
+
+      destroy() {
+        rejectRequests("Forest not connected");
+        stop();
+        destroyed = true;
+        clearTimeout(resizeTimer);
+        clearTimeout(posterTimer);
+        removePoster();
+        resizeObserver.disconnect();
+        if (intersection) intersection.disconnect();
+        document.removeEventListener("visibilitychange", onVisibility);
+        document.removeEventListener("freeze", onFreeze);
+        document.removeEventListener("resume", onResume);
+        motionMq.removeEventListener("change", onMotion);
+      },
+    };
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Element                                                                 */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  class ForestBackground extends HTMLElement {
+    static get observedAttributes() {
+      return ["theme", "seed", "speed", "paused"];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" }).innerHTML =
+        "<style>" + STYLE + "</style>";
+      this._forest = null; // connectForest() handle while connected
+      this._themeObject = null;
+      this._quietSeed = false;
+      this._config = {}; // applyConfig() calls, replayed on reconnect
+      this._camera = {}; // camera layers that hold, replayed on reconnect
+      this._stats = false;
+      /* Properties set before the element was defined shadow the accessors */
+      ["theme", "seed", "speed", "paused"].forEach(function (name) {
+        if (Object.prototype.hasOwnProperty.call(this, name)) {
+          const value = this[name];
+          delete this[name];
+          this[name] = value;
+        }
+      }, this);
+    }
+
+    connectedCallback() {
+      if (!this._forest) this._forest = connectForest(this);
+    }
+
+    disconnectedCallback() {
+      if (!this._forest) return;
+      this._forest.destroy();
+      this._forest = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this._forest || oldValue === value) return;
+      if (name === "theme") {
+        this.refreshTheme();
+      } else if (name === "seed") {
+        if (this._quietSeed) return; // setSeed() sends its own message
+        const seed = parseSeed(value);
+        if (seed !== undefined) this._forest.send({ type: "seed", seed: seed });
+      } else if (name === "speed") {
+        const speed = parseNumber(value);
+        this._forest.send({
+          type: "config",
+          config: { speed: speed === undefined ? 1 : speed },
+        });
+      } else if (name === "paused") {
+        this._forest.setUserPaused(value !== null);
+      }
+    }
+
+    /** Theme name (attribute) or the palette object assigned here. */
+    get theme() {
+      return this._themeObject || this.getAttribute("theme");
+    }
+    set theme(value) {
+      if (value && typeof value === "object") {
+        this._themeObject = value;
+        this.refreshTheme();
+      } else {
+        this._themeObject = null;
+        if (value) this.setAttribute("theme", value);
+        else this.removeAttribute("theme");
+        this.refreshTheme(); // also when the attribute stayed the same
+      }
+    }
+
+    get seed() {
+      return parseSeed(this.getAttribute("seed"));
+    }
+    set seed(value) {
+      this.setSeed(value);
+    }
+
+    get speed() {
+      const speed = parseNumber(this.getAttribute("speed"));
+      return speed === undefined ? 1 : speed;
+    }
+    set speed(value) {
+      this.setAttribute("speed", String(value));
+    }
+
+    get paused() {
+      return this.hasAttribute("paused");
+    }
+    set paused(value) {
+      this.toggleAttribute("paused", !!value);
+    }
+
+    /** What draws the forest: "webgl2", "2d", "static" or null (starting). */
+    get renderer() {
+      return this._forest ? this._forest.renderer() : null;
+    }
+
+    /** Re-read the palette, e.g. after the page changed its theme. */
+    refreshTheme() {
+      const theme = this._themeObject || readTheme(this);
+      if (this._forest && theme) this._forest.setTheme(theme);
+    }
+
+    /** Switch seeds; with `time` the flight restarts that far (ms) in. */
+    setSeed(seed, time) {
+      seed = parseSeed(seed);
+      if (seed === undefined) return;
+      this._quietSeed = true;
+      this.setAttribute("seed", seed.toString(16));
+      this._quietSeed = false;
+      if (this._forest) {
+        this._forest.send({ type: "seed", seed: seed, time: time });
+      }
+    }
+
+    /** Merge scene settings (see CONFIG_SPEC in forest-core.js). */
+    applyConfig(partial) {
+      Object.assign(this._config, partial);
+      if (this._forest) this._forest.send({ type: "config", config: partial });
+    }
+
+    /** Particle preset: "auto", "none", "fireflies", "pollen", "rain", "snow". */
+    setParticles(preset) {
+      this._config.particles = preset;
+      if (this._forest)
+        this._forest.send({ type: "particles", preset: preset });
+    }
+
+    /** Start or stop the once-a-second "stats" events. */
+    setStats(on) {
+      this._stats = !!on;
+      if (this._forest) this._forest.send({ type: "stats", on: this._stats });
+    }
+
+    /** Pointer / tilt parallax input in [-1, 1]. */
+    setInput(x) {
+      if (this._forest) this._forest.send({ type: "input", x: x });
+    }
+
+    /** Play a camera timeline (see normalizeTimeline in forest-core.js) in
+     *  `layer`, replacing what it played; null lets the layer go. */
+    playCamera(layer, timeline) {
+      timeline = timeline || null;
+      if (timeline && (timeline.hold || timeline.scroll)) {
+        this._camera[layer] = { timeline: timeline, progress: 0 };
+      } else {
+        delete this._camera[layer];
+      }
+      if (this._forest) {
+        this._forest.send({ type: "camera", layer: layer, timeline: timeline });
+      }
+    }
+
+    /** Scroll position (0–1) for a layer playing a "scroll" timeline. */
+    scrubCamera(layer, progress) {
+      if (this._camera[layer]) this._camera[layer].progress = progress;
+      if (this._forest) {
+        this._forest.send({
+          type: "cameraScroll",
+          layer: layer,
+          progress: progress,
+        });
+      }
+    }
+
+    /**
+     * Resolves to a Blob of the forest as it is now — trees, theme, camera —
+     * drawn at `width` × `height` pixels (whole numbers up to 8192), any
+     * aspect: a 3840 × 2160 wallpaper, a phone in portrait. `type` is
+     * "image/png" (default) or "image/webp" with `quality` 0–1. The live
+     * forest is not disturbed.
+     */
+    exportImage(width, height, type, quality) {
+      if (!this._forest)
+        return Promise.reject(new Error("Forest not connected"));
+      return this._forest
+        .request({
+          type: "export",
+          w: width,
+          h: height,
+          format: type || "image/png",
+          quality: quality,
+        })
+        .then(function (msg) {
+          return msg.blob;
+        });
+    }
+
+    /** Resolves to { frames, frameMs }: image Blobs of one camera sweep
+     *  (data-view-sweep-ms) at `fps` (24 by default), from where the
+     *  forest is now, on the autopilot; the last frame does not meet the
+     *  first. Rejects clips over 200 megapixels in all (width × height ×
+     *  frames). As exportImage() otherwise. */
+    exportFrames(width, height, fps, type) {
+      if (!this._forest)
+        return Promise.reject(new Error("Forest not connected"));
+      return this._forest
+        .request({
+          type: "exportFrames",
+          w: width,
+          h: height,
+          fps: fps,
+          format: type || "image/png",
+        })
+        .then(function (msg) {
+          return { frames: msg.frames, frameMs: msg.frameMs };
+        });
+    }
+
+    /** Resolves to { seed, time } of the running forest. */
+    getState() {
+      if (!this._forest)
+        return Promise.reject(new Error("Forest not connected"));
+      return this._forest.requestState();
+    }
+  }
+
+  customElements.define("forest-background", ForestBackground);
+})();
@@ -0,0 +1,127 @@
+/**
+ * Forest fly-through — CSS colour parsing.
+ * Shared by everything that reads the palette out of CSS: the
+ * <forest-background> element (its custom properties), main.js (the clock
+ * theme's palettes) and build.js (the :root block, for the preview image):
+ *
+ *   ForestColor.parseColor("hsl(200 60% 40% / 0.5)"); // [41, 122, 163, 0.5]
+ *
+ * Hex and rgb() / hsl() are parsed here; every other CSS colour (names,
+ * hwb(), lab(), oklch(), color(), …) is handed to a 1×1 canvas, so
+ * anything the browser understands works — in Node those give null.
+ * Results are [r, g, b, alpha], channels 0–255 and alpha 0–1, or null for
+ * something that is not a colour.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ForestColor = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+  const FUNCTION_COLOR = /^(rgba?|hsla?)\(([^()]*)\)$/i;
+  const HUE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+  let paint = null; // the canvas context, created on first use
+
+  function parseHexColor(hex) {
+    let digits = hex.slice(1);
+    if (digits.length < 6) digits = digits.replace(/./g, "$&$&");
+    const n = parseInt(digits, 16);
+    return digits.length === 8
+      ? [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, (n & 255) / 255]
+      : [n >>> 16, (n >>> 8) & 255, n & 255, 1];
+  }
+
+  /** Number from a CSS token; `percent` is what 100% stands for. */
+  function cssNumber(token, percent) {
+    if (token === "none") return 0;
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/i.test(token)) return NaN;
+    const n = parseFloat(token);
+    return token.slice(-1) === "%" ? (n / 100) * percent : n;
+  }
+
+  /** Hue in degrees from a CSS angle (a bare number is degrees). */
+  function cssHue(token) {
+    const m = /^([+-]?[\d.]+(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/i.exec(token);
+    if (!m) return token === "none" ? 0 : NaN;
+    return parseFloat(m[1]) * HUE_UNITS[(m[2] || "deg").toLowerCase()];
+  }
+
+  /** rgb() / rgba() / hsl() / hsla() in legacy (commas) or modern syntax. */
+  function parseColorFunction(name, args) {
+    const parts = args.trim().split(/\s*[,/]\s*|\s+/);
+    if (parts.length !== 3 && parts.length !== 4) return null;
+    const alpha = parts.length === 4 ? cssNumber(parts[3], 1) : 1;
+    let rgb;
+    if (name.slice(0, 3) === "rgb") {
+      rgb = parts.slice(0, 3).map(function (p) {
+        return cssNumber(p, 255);
+      });
+    } else {
+      const h = (((cssHue(parts[0]) % 360) + 360) % 360) / 30;
+      const s = cssNumber(parts[1], 100) / 100;
+      const l = cssNumber(parts[2], 100) / 100;
+      const a = s * Math.min(l, 1 - l);
+      rgb = [0, 8, 4].map(function (n) {
+        const k = (n + h) % 12;
+        return (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+      });
+    }
+    const c = rgb.concat(alpha);
+    for (let i = 0; i < 4; i++) if (!isFinite(c[i])) return null;
+    return c.map(function (v, i) {
+      return i < 3
+        ? Math.round(Math.min(255, Math.max(0, v)))
+        : Math.min(1, Math.max(0, v));
+    });
+  }
+
+  /** Let the browser resolve the colour, then read it back as sRGB. */
+  function paintColor(value) {
+    if (paint === null) {
+      const c =
+        typeof document !== "undefined" && document.createElement("canvas");
+      if (c) c.width = c.height = 1;
+      paint = (c && c.getContext("2d", { willReadFrequently: true })) || false;
+    }
+    if (!paint) return null;
+    /* fillStyle ignores what it cannot parse: two different starting
+       points giving two different answers means `value` was rejected */
+    paint.fillStyle = "#000";
+    paint.fillStyle = value;
+    const resolved = paint.fillStyle;
+    paint.fillStyle = "#fff";
+    paint.fillStyle = value;
+    if (paint.fillStyle !== resolved) return null;
+    if (resolved[0] === "#" || /^rgba?\(/.test(resolved)) {
+      return parseSrgbColor(resolved);
+    }
+    /* Another colour space: alpha from its "/ a" tail, the channels from
+       painting it opaque (a translucent pixel would round them) */
+    const tail = /\/\s*([^\s)]+)\s*\)$/.exec(resolved);
+    const alpha = tail ? cssNumber(tail[1], 1) : 1;
+    paint.fillStyle = resolved.replace(/\s*\/[^)]*\)$/, ")");
+    paint.clearRect(0, 0, 1, 1);
+    paint.fillRect(0, 0, 1, 1);
+    const d = paint.getImageData(0, 0, 1, 1).data;
+    return [d[0], d[1], d[2], isFinite(alpha) ? alpha : 1];
+  }
+
+  /** Hex, rgb() or hsl(); null for anything else. */
+  function parseSrgbColor(value) {
+    if (HEX_COLOR.test(value)) return parseHexColor(value);
+    const fn = FUNCTION_COLOR.exec(value);
+    return fn ? parseColorFunction(fn[1].toLowerCase(), fn[2]) : null;
+  }
+
+  /** Any CSS colour, as far as this environment can tell. */
+  function parseColor(value) {
+    value = String(value).trim();
+    return parseSrgbColor(value) || paintColor(value);
+  }
+
+  return {
+    parseColor: parseColor,
+    parseSrgbColor: parseSrgbColor,
+    cssNumber: cssNumber,
+    cssHue: cssHue,
+  };
+});
@@ -0,0 +1,1973 @@
+/**
+ * Forest fly-through — scene core.
+ * Everything that decides what the forest looks like at a given moment:
+ * tunables, seeded layout, camera, theme cross-fades, quality tiers and the
+ * frame loop. There is no canvas and no DOM in here. The backends
+ * (forest-2d.js, forest-gl.js) draw what a scene exposes, and time comes
+ * from an injectable clock, so the same code runs in the worker, on the
+ * main thread and in Node:
+ *
+ *   const ForestCore = require("./forest-core.js");
+ *   const scene = ForestCore.createScene({
+ *     seed: 0x1234,
+ *     clock: ForestCore.createManualClock(),
+ *   });
+ *   scene.resize(800, 600, 1);
+ *   scene.stepTo(12000); // deterministic: fixed 16 ms steps
+ *
+ * Loaded as a classic script it defines `self.ForestCore`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ForestCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Tunables                                                                */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* Defaults and valid ranges. Any of these can be changed at runtime with
+     applyConfig(); `forest` marks the values the tree layout is built from. */
+  const CONFIG_SPEC = {
+    depthFar: { def: 55, min: 15, max: 150, forest: true },
+    depthNear: { def: 8, min: 1, max: 40 },
+    halfW: { def: 20, min: 4, max: 60, forest: true },
+    speedBase: { def: 0.004, min: 0, max: 0.05 },
+    speed: { def: 1, min: 0, max: 10 }, // × speedBase
+    driftAmp: { def: 4.5, min: 0, max: 15 },
+    driftFreq: { def: 0.00008, min: 0, max: 0.001 },
+    xSpacing: { def: 3.6, min: 1.5, max: 12, forest: true },
+    zSpacing: { def: 4.8, min: 1.5, max: 20, forest: true },
+    xJitter: { def: 0.3, min: 0, max: 0.5, forest: true }, // × xSpacing
+    recycleDelayMs: { def: 1000, min: 0, max: 10000 },
+    nearFadeStartZ: { def: 7.2, min: 0.5, max: 30 },
+    nearFadeEndZ: { def: 1.1, min: 0.5, max: 30 },
+    centerFadeBandX: { def: 1.35, min: 0.05, max: 10 },
+    farFadeBand: { def: 0.18, min: 0.01, max: 1 }, // × depthFar
+    viewWaypoints: { def: [90, 75, 115, 90], min: 0, max: 180, list: true },
+    viewSweepMs: { def: 30000, min: 1000, max: 600000 },
+    themeDuration: { def: 1000, min: 0, max: 10000 },
+    /* Parallax at full pointer / tilt deflection */
+    parallaxX: { def: 1.6, min: 0, max: 10 },
+    parallaxYaw: { def: 6, min: 0, max: 30 }, // degrees
+    /* Reduced motion: "drift" keeps a slow forward crawl, "still" draws one frame */
+    reducedMotion: { def: "drift", oneOf: ["drift", "still"] },
+    /* Particle preset (PARTICLE_PRESETS); "auto" picks one for the theme */
+    particles: {
+      def: "auto",
+      oneOf: ["auto", "none", "fireflies", "pollen", "rain", "snow"],
+    },
+    /* Backend: "auto" tries WebGL2 first. Only honoured at init. */
+    renderer: { def: "auto", oneOf: ["auto", "webgl2", "2d"], init: true },
+  };
+
+  const REDUCED_SPEED_SCALE = 0.1;
+  const INPUT_IDLE_MS = 1500; // no input for this long → ease back to autopilot
+  const INPUT_SPRING_K = 25; // stiffness (1/s²) — ω = 5 rad/s
+  const INPUT_SPRING_D = 10; // damping (1/s) — 2ω, critically damped
+  const DEPTH_QUANT = 11;
+  const STEP_MS = 16; // stepTo() step and the nominal first-frame step
+
+  /* Quality tiers, cheapest first. cols / depth scale HALF_W / DEPTH_FAR,
+     particles scales the preset's count, fps 0 = uncapped. Tier 2 is the
+     original look and the starting point. */
+  const QUALITY_TIERS = [
+    { dpr: 1, cols: 0.55, depth: 0.6, glow: false, particles: 0.3, fps: 30 },
+    { dpr: 1, cols: 0.75, depth: 0.8, glow: false, particles: 0.6, fps: 60 },
+    { dpr: 1, cols: 1, depth: 1, glow: true, particles: 1, fps: 60 },
+    { dpr: 1.5, cols: 1, depth: 1, glow: true, particles: 1, fps: 0 },
+    { dpr: 2, cols: 1, depth: 1, glow: true, particles: 1, fps: 0 },
+  ];
+  const QUALITY_START = 2;
+  const GOV_WINDOW = 90; // frames per evaluation
+  const GOV_DOWN_COST = 10; // ms of mean work per frame that forces a step down
+  const GOV_UP_COST = 4; // ms of mean work per frame that allows a step up
+  const GOV_DOWN_LATE = 0.1; // share of late frames that forces a step down
+  const GOV_UP_LATE = 0.02; // share of late frames still allowing a step up
+  const GOV_UP_HOLD_MS = 4000; // wait after a change before stepping up
+  const GOV_UP_HOLD_MAX_MS = 64000;
+  const STATS_CAPACITY = 512; // frames takeStats() summarises, newest kept
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Default theme (matches original hardcoded colours)                      */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  const DEFAULT_THEME = {
+    sky: [
+      [184, 242, 168],
+      [114, 228, 184],
+      [56, 184, 216],
+      [34, 85, 196],
+      [30, 52, 160],
+      [16, 11, 88],
+    ],
+    fog: [
+      [100, 210, 235, 0.1],
+      [55, 135, 220, 0.2],
+      [55, 130, 215, 0.2],
+      [28, 65, 170, 0.1],
+    ],
+    treeHueMin: 174,
+    treeHueMax: 216,
+    treeSat: 58,
+    treeLightMin: 36,
+    treeLightMax: 52,
+    species: { trunk: 1 }, // weights by SPECIES name
+  };
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Particle presets                                                        */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* Particles live in world space like the trees and fly past with them.
+     Sizes and the rain streak are world units, speeds units per ms (fall > 0
+     is downwards), twinkle a blink rate in radians per ms. style picks the
+     sprite: "dot", "glow" (dot with a halo) or "streak". fromEdge: ones
+     that fall out of view come back in at the opposite edge rather than
+     fading in somewhere. color(theme) gives [r, g, b] from the current
+     palette. */
+  const PARTICLE_PRESETS = {
+    fireflies: {
+      count: 70,
+      size: [0.035, 0.06],
+      fall: 0,
+      wander: 0.0006,
+      twinkle: 0.003,
+      streak: 0,
+      alpha: 0.95,
+      style: "glow",
+      fromEdge: false,
+      color(theme) {
+        const hue = (theme.treeHueMin + theme.treeHueMax) * 0.5 - 14;
+        return hslToRgb(hue, 86, Math.min(88, theme.treeLightMax + 36));
+      },
+    },
+    pollen: {
+      count: 110,
+      size: [0.02, 0.045],
+      fall: -0.00015,
+      wander: 0.0003,
+      twinkle: 0,
+      streak: 0,
+      alpha: 0.6,
+      style: "dot",
+      fromEdge: false,
+      color(theme) {
+        return mixRgb(theme.sky[0], [255, 255, 255], 0.55);
+      },
+    },
+    rain: {
+      count: 240,
+      size: [0.008, 0.014],
+      fall: 0.03,
+      wander: 0,
+      twinkle: 0,
+      streak: 0.55,
+      alpha: 0.32,
+      style: "streak",
+      fromEdge: true,
+      color(theme) {
+        return mixRgb(theme.fog[1], theme.sky[0], 0.5);
+      },
+    },
+    snow: {
+      count: 180,
+      size: [0.025, 0.06],
+      fall: 0.0012,
+      wander: 0.0005,
+      twinkle: 0,
+      streak: 0,
+      alpha: 0.8,
+      style: "dot",
+      fromEdge: true,
+      color(theme) {
+        return mixRgb(theme.sky[0], [255, 255, 255], 0.85);
+      },
+    },
+  };
+
+  const PARTICLE_SEED_SALT = 0x9e3779b9; // own PRNG stream — tree layout untouched
+  const PARTICLE_NEAR_Z = 0.8; // recycled once this close
+  const PARTICLE_NEAR_FADE_INV = 1 / 2.5; // fade in over the next 2.5 units
+  const PARTICLE_FADE_MS = 1000; // fade-in after a (re)spawn
+  const PARTICLE_MARGIN = 1.15; // spawn area × the visible frustum
+  const NOMINAL_FRUSTUM = 0.5 / 1.55; // half-width per unit of depth, 1:1 view
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Tree species                                                            */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* Every tree is drawn as its species says. Shapes live in trunk space: u
+     runs 0 → 1 from the trunk's top edge (topY) to its bottom (bottomY), s
+     across it in local half-widths, so a point lands at
+       x = mix(vx, screenX, u) + s · mix(topW, baseW, u),  y = mix(topY, bottomY, u)
+     and narrows into the vanishing point like the trunk. A species gives:
+       trunk  tone of the trunk trapezoid (and its glow), or null for none
+       tones  named tones for the parts
+       parts  [tone, [u, s, u, s, …]] — polygons over the trunk, each
+              star-shaped around the mean of its points; mirrored (s → -s)
+              on about half of the trees, moved a little (u + shift) on all
+     A tone shifts the theme's tree colour — hue + dh, saturation × ds,
+     lightness + dl, alpha × da — and is baked per depth step like the
+     trunk. The theme's `species` mix weighs them by name. */
+  const SPECIES = {};
+  const SPECIES_NAMES = []; // definition order — what a weighted pick walks
+  const SPECIES_SEED_SALT = 0x85ebca6b; // own PRNG stream — tree layout untouched
+
+  function speciesTone(tone) {
+    const t = tone || {};
+    return {
+      dh: t.dh || 0,
+      ds: t.ds === undefined ? 1 : t.ds,
+      dl: t.dl || 0,
+      da: t.da === undefined ? 1 : t.da,
+    };
+  }
+
+  /**
+   * Register (or replace) a species. Call before creating scenes: backends
+   * read the registry when they are set up. reach — the widest |s| of any
+   * part — is what projectTree() culls against.
+   */
+  function defineSpecies(name, spec) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new Error("species name " + name + " is not a lowercase word");
+    }
+    const tones = {};
+    for (const key in spec.tones || {}) {
+      tones[key] = speciesTone(spec.tones[key]);
+    }
+    let reach = spec.trunk === null ? 0 : 1;
+    const parts = (spec.parts || []).map(function (part) {
+      const points = part[1];
+      if (!tones[part[0]]) throw new Error(name + ": no tone " + part[0]);
+      if (points.length < 6 || points.length % 2) {
+        throw new Error(name + ": a part needs three or more u, s pairs");
+      }
+      for (let i = 1; i < points.length; i += 2) {
+        reach = Math.max(reach, Math.abs(points[i]));
+      }
+      return { tone: part[0], points: points.slice() };
+    });
+    if (!SPECIES[name]) SPECIES_NAMES.push(name);
+    SPECIES[name] = {
+      name: name,
+      trunk: spec.trunk === null ? null : speciesTone(spec.trunk),
+      tones: tones,
+      parts: parts,
+      reach: reach,
+    };
+    return SPECIES[name];
+  }
+
+  /** Species for a tree's pick in [0, 1) under `mix` (weights by name). */
+  function pickSpecies(mix, r) {
+    let total = 0;
+    for (let i = 0; i < SPECIES_NAMES.length; i++) {
+      total += mix[SPECIES_NAMES[i]] || 0;
+    }
+    let at = r * total;
+    for (let i = 0; i < SPECIES_NAMES.length; i++) {
+      const w = mix[SPECIES_NAMES[i]] || 0;
+      if (w > 0 && at < w) return SPECIES_NAMES[i];
+      at -= w;
+    }
+    return "trunk"; // empty mix, or r at the very top
+  }
+
+  /* The original tree: a bare trapezoid */
+  defineSpecies("trunk", {});
+
+  /* Dark trunk under five overlapping canopy tiers */
+  defineSpecies("pine", {
+    trunk: { ds: 0.8, dl: -8 },
+    tones: { canopy: { dh: -18, ds: 1.1, dl: -4 } },
+    parts: [0.06, 0.2, 0.34, 0.48, 0.62].map(function (u) {
+      return ["canopy", [u, 0, u + 0.18, 2, u + 0.15, 0, u + 0.18, -2]];
+    }),
+  });
+
+  /* Pale trunk with dark bark marks, alternating sides */
+  defineSpecies("birch", {
+    trunk: { ds: 0.35, dl: 20, da: 1.1 },
+    tones: { bark: { ds: 0.5, dl: -24, da: 1.6 } },
+    parts: [0.18, 0.27, 0.35, 0.46, 0.55, 0.63, 0.74, 0.82].map(
+      function (u, i) {
+        const s0 = i % 2 ? -1 : 0.25;
+        const s1 = i % 2 ? -0.2 : 1;
+        return ["bark", [u, s0, u - 0.004, s1, u + 0.008, s1, u + 0.011, s0]];
+      },
+    ),
+  });
+
+  /* Leafless: branches reaching up and out, alternating sides */
+  defineSpecies("bare", {
+    trunk: { dh: 8, ds: 0.6, dl: -4 },
+    tones: { wood: { dh: 8, ds: 0.6, dl: -4 } },
+    parts: [0.2, 0.3, 0.4, 0.5, 0.6].map(function (u, i) {
+      const side = i % 2 ? -1 : 1;
+      return [
+        "wood",
+        [u - 0.012, side * 0.8, u + 0.012, side * 0.8, u - 0.08, side * 2.6],
+      ];
+    }),
+  });
+
+  /* Undergrowth: no trunk, a low mound near the ground line */
+  defineSpecies("bush", {
+    trunk: null,
+    tones: {
+      leaves: { dh: -24, ds: 1.1, dl: 2, da: 1.2 },
+      light: { dh: -30, ds: 1.2, dl: 10 },
+    },
+    parts: [
+      [
+        "leaves",
+        [
+          1, -2.6, 0.9, -2.5, 0.84, -1.6, 0.81, -0.4, 0.82, 0.9, 0.85, 2, 0.92,
+          2.8, 1, 2.9,
+        ],
+      ],
+      [
+        "light",
+        [0.9, -1.5, 0.85, -0.5, 0.85, 0.6, 0.88, 1.4, 0.94, 1.5, 0.95, -1],
+      ],
+    ],
+  });
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Seeded PRNG (mulberry32) — deterministic across loads                   */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  const DEFAULT_SEED = 0xabcd1234;
+  const MAX_START_MS = 600000; // longest flight a shared link replays
+
+  function mulberry32(seed) {
+    return function () {
+      seed |= 0;
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * A requested start time in [0, MAX_START_MS) (0 when invalid). Later
+   * ones fold back by whole camera sweeps of `sweepMs`, so a link copied
+   * deep into a long flight still opens at the same point of the sweep.
+   */
+  function startOffset(ms, sweepMs) {
+    if (typeof ms !== "number" || !isFinite(ms) || ms < 0) return 0;
+    if (ms < MAX_START_MS) return ms;
+    return ms % (Math.max(1, Math.floor(MAX_START_MS / sweepMs)) * sweepMs);
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Helpers                                                                 */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  function clamp01(v) {
+    return v < 0 ? 0 : v > 1 ? 1 : v;
+  }
+  function easeInOut01(u) {
+    return u * u * (3 - 2 * u);
+  }
+
+  /** Insertion sort descending by .z — O(n) when nearly sorted (each frame).
+   *  Returns how many elements it shifted, 0 for an already sorted array. */
+  function sortByZDesc(arr) {
+    let moves = 0;
+    for (let i = 1, n = arr.length; i < n; i++) {
+      const key = arr[i];
+      const kz = key.z;
+      let j = i - 1;
+      while (j >= 0 && arr[j].z < kz) {
+        arr[j + 1] = arr[j];
+        j--;
+      }
+      arr[j + 1] = key;
+      moves += i - 1 - j;
+    }
+    return moves;
+  }
+
+  /** p50 / p95 / p99 / max of the first `n` values, rounded to 0.01. */
+  function percentiles(values, n) {
+    const sorted = Array.prototype.slice
+      .call(values, 0, n)
+      .sort(function (a, b) {
+        return a - b;
+      });
+    const at = function (q) {
+      if (!n) return 0;
+      return Math.round(sorted[Math.min(n - 1, (q * n) | 0)] * 100) / 100;
+    };
+    return { p50: at(0.5), p95: at(0.95), p99: at(0.99), max: at(1) };
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Theme helpers                                                           */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  function rgbStr(c) {
+    return "rgb(" + (c[0] | 0) + "," + (c[1] | 0) + "," + (c[2] | 0) + ")";
+  }
+  function rgbaStr(c) {
+    return (
+      "rgba(" +
+      (c[0] | 0) +
+      "," +
+      (c[1] | 0) +
+      "," +
+      (c[2] | 0) +
+      "," +
+      c[3].toFixed(3) +
+      ")"
+    );
+  }
+
+  function hslToRgb(h, s, l) {
+    s *= 0.01;
+    l *= 0.01;
+    const a = s * Math.min(l, 1 - l);
+    const f = function (n) {
+      const k = (n + h / 30) % 12;
+      return (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+    };
+    return [f(0), f(8), f(4)];
+  }
+
+  function mixRgb(a, b, t) {
+    return [
+      a[0] + (b[0] - a[0]) * t,
+      a[1] + (b[1] - a[1]) * t,
+      a[2] + (b[2] - a[2]) * t,
+    ];
+  }
+
+  /** True when the sky behind the page is dark (white text reads better). */
+  function isDarkTheme(theme) {
+    let l = 0;
+    for (let i = 1; i <= 4; i++) {
+      const c = theme.sky[i].map(function (v) {
+        v /= 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+      });
+      l += (0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2]) * 0.25;
+    }
+    return l < 0.179; // equal contrast against black and white
+  }
+
+  function cloneTheme(t) {
+    return {
+      sky: t.sky.map(function (c) {
+        return c.slice();
+      }),
+      fog: t.fog.map(function (c) {
+        return c.slice();
+      }),
+      treeHueMin: t.treeHueMin,
+      treeHueMax: t.treeHueMax,
+      treeSat: t.treeSat,
+      treeLightMin: t.treeLightMin,
+      treeLightMax: t.treeLightMax,
+      species: Object.assign({}, t.species),
+    };
+  }
+
+  function validChannels(c, n) {
+    if (!Array.isArray(c) || c.length !== n) return false;
+    for (let i = 0; i < n; i++) {
+      if (typeof c[i] !== "number" || !isFinite(c[i])) return false;
+    }
+    return true;
+  }
+
+  /**
+   * A complete, safe copy of `theme`: every colour stop or number that is
+   * missing or not valid comes from DEFAULT_THEME instead, so one bad value
+   * cannot turn a whole cross-fade into NaN. Missing and null fields are
+   * taken quietly (partial themes are fine, and readers use null for values
+   * they have already reported); anything else is warned about.
+   */
+  function normalizeTheme(theme) {
+    const t = theme || {};
+    const bad = [];
+    function stops(key, n) {
+      const list = Array.isArray(t[key]) ? t[key] : [];
+      if (t[key] != null && !Array.isArray(t[key])) bad.push(key);
+      return DEFAULT_THEME[key].map(function (def, i) {
+        const c = list[i];
+        if (c == null) return def.slice();
+        if (!validChannels(c, n)) {
+          bad.push(key + "[" + i + "]");
+          return def.slice();
+        }
+        return c.map(function (v, j) {
+          return j < 3 ? Math.min(255, Math.max(0, v)) : clamp01(v);
+        });
+      });
+    }
+    function number(key) {
+      const v = t[key];
+      if (v == null) return DEFAULT_THEME[key];
+      if (typeof v !== "number" || !isFinite(v)) {
+        bad.push(key);
+        return DEFAULT_THEME[key];
+      }
+      return v;
+    }
+    /* Unknown names and bad weights are dropped; a mix with nothing left
+       is the default one */
+    function mix() {
+      const m = t.species;
+      const out = {};
+      let total = 0;
+      if (m != null && typeof m !== "object") bad.push("species");
+      for (const name in m != null && typeof m === "object" ? m : {}) {
+        const v = m[name];
+        if (v == null) continue;
+        if (
+          !SPECIES[name] ||
+          typeof v !== "number" ||
+          !(v >= 0 && v < Infinity)
+        ) {
+          bad.push("species." + name);
+          continue;
+        }
+        out[name] = v;
+        total += v;
+      }
+      return total > 0 ? out : Object.assign({}, DEFAULT_THEME.species);
+    }
+    const out = {
+      sky: stops("sky", 3),
+      fog: stops("fog", 4),
+      treeHueMin: number("treeHueMin"),
+      treeHueMax: number("treeHueMax"),
+      treeSat: number("treeSat"),
+      treeLightMin: number("treeLightMin"),
+      treeLightMax: number("treeLightMax"),
+      species: mix(),
+    };
+    if (bad.length) {
+      console.warn(
+        "[bg] theme: invalid " + bad.join(", ") + " — using defaults",
+      );
+    }
+    return out;
+  }
+
+  function lerpTheme(a, b, t) {
+    var sky = [];
+    for (var i = 0; i < a.sky.length; i++) {
+      sky.push([
+        a.sky[i][0] + (b.sky[i][0] - a.sky[i][0]) * t,
+        a.sky[i][1] + (b.sky[i][1] - a.sky[i][1]) * t,
+        a.sky[i][2] + (b.sky[i][2] - a.sky[i][2]) * t,
+      ]);
+    }
+    var fog = [];
+    for (var i = 0; i < a.fog.length; i++) {
+      fog.push([
+        a.fog[i][0] + (b.fog[i][0] - a.fog[i][0]) * t,
+        a.fog[i][1] + (b.fog[i][1] - a.fog[i][1]) * t,
+        a.fog[i][2] + (b.fog[i][2] - a.fog[i][2]) * t,
+        a.fog[i][3] + (b.fog[i][3] - a.fog[i][3]) * t,
+      ]);
+    }
+    return {
+      sky: sky,
+      fog: fog,
+      treeHueMin: a.treeHueMin + (b.treeHueMin - a.treeHueMin) * t,
+      treeHueMax: a.treeHueMax + (b.treeHueMax - a.treeHueMax) * t,
+      treeSat: a.treeSat + (b.treeSat - a.treeSat) * t,
+      treeLightMin: a.treeLightMin + (b.treeLightMin - a.treeLightMin) * t,
+      treeLightMax: a.treeLightMax + (b.treeLightMax - a.treeLightMax) * t,
+      species: lerpMix(a.species, b.species, t),
+    };
+  }
+
+  function lerpMix(a, b, t) {
+    const out = {};
+    for (const name in Object.assign({}, a, b)) {
+      const wa = a[name] || 0;
+      out[name] = wa + ((b[name] || 0) - wa) * t;
+    }
+    return out;
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Runtime configuration — validation                                      */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /** Parse a number (or numeric string) and clamp it into the spec's range. */
+  function coerceConfigNumber(spec, value) {
+    const n =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !isFinite(n)) return undefined;
+    return n < spec.min ? spec.min : n > spec.max ? spec.max : n;
+  }
+
+  /** Validated value for one setting, or undefined when it is unusable. */
+  function coerceConfigValue(spec, value) {
+    if (spec.oneOf) return spec.oneOf.indexOf(value) >= 0 ? value : undefined;
+    if (!spec.list) return coerceConfigNumber(spec, value);
+    const list = typeof value === "string" ? value.split(",") : value;
+    if (!Array.isArray(list) || list.length < 2) return undefined;
+    const out = [];
+    for (let i = 0; i < list.length; i++) {
+      const n = coerceConfigNumber(spec, list[i]);
+      if (n === undefined) return undefined;
+      out.push(n);
+    }
+    return out;
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Camera choreography — keyframe timelines                                */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* What a timeline can move on top of the autopilot camera. Each playing
+     timeline is a layer; layers combine by product (speed, fog) or sum
+     (yaw, x), so a neutral layer changes nothing. */
+  const CAMERA_CHANNELS = {
+    speed: { neutral: 1, min: 0, max: 20, product: true }, // × forward speed
+    yaw: { neutral: 0, min: -90, max: 90 }, // degrees, added to the sweep
+    x: { neutral: 0, min: -20, max: 20 }, // sideways, world units
+    fog: { neutral: 1, min: 0, max: 4, product: true }, // × fog overlay alpha
+  };
+  const CAMERA_CHANNEL_NAMES = Object.keys(CAMERA_CHANNELS);
+  const CAMERA_EASES = {
+    linear: function (u) {
+      return u;
+    },
+    in: function (u) {
+      return u * u;
+    },
+    out: function (u) {
+      return u * (2 - u);
+    },
+    inOut: easeInOut01,
+  };
+  const CAMERA_RELEASE_MS = 800; // back to autopilot after a timeline ends
+  const CAMERA_RELEASE_MAX_MS = 60000;
+  const CAMERA_SCROLL_SMOOTH_MS = 200; // time constant scroll progress follows
+
+  function cameraWarn(problem, value) {
+    console.warn("[bg] camera: " + problem, value);
+  }
+
+  /**
+   * Validate a timeline as authored:
+   *
+   *   { "keyframes": [ { "at": 0 }, { "at": 400, "speed": 6, "ease": "in" },
+   *                    { "at": 1600, "speed": 1 } ],
+   *     "hold": false, "release": 800, "scroll": false }
+   *
+   * `at` is ms from the start, or with "scroll": true a scroll position
+   * from 0 to 1 (see scrubCamera). A keyframe sets any of the
+   * CAMERA_CHANNELS; `ease` (linear / in / out / inOut, the default) shapes
+   * the way into it. Returns { tracks, end, hold, release, scroll }, where
+   * tracks holds each channel's keyframes, or null when nothing is usable.
+   */
+  function normalizeTimeline(timeline) {
+    if (!timeline || typeof timeline !== "object") {
+      cameraWarn("not a timeline", timeline);
+      return null;
+    }
+    const scroll = timeline.scroll === true;
+    const keyframes = Array.isArray(timeline.keyframes)
+      ? timeline.keyframes
+      : [];
+    const tracks = {};
+    let end = 0;
+    CAMERA_CHANNEL_NAMES.forEach(function (name) {
+      tracks[name] = [];
+    });
+
+    keyframes.forEach(function (key, i) {
+      const at = key && typeof key.at === "number" ? key.at : NaN;
+      if (!(at >= 0) || (scroll && at > 1) || !isFinite(at)) {
+        cameraWarn("keyframes[" + i + "] needs an `at` in range", key);
+        return;
+      }
+      let ease = CAMERA_EASES.inOut;
+      if (key.ease !== undefined) {
+        if (CAMERA_EASES.hasOwnProperty(key.ease))
+          ease = CAMERA_EASES[key.ease];
+        else cameraWarn("keyframes[" + i + "]: unknown ease", key.ease);
+      }
+      for (const name in key) {
+        if (name === "at" || name === "ease") continue;
+        const spec = CAMERA_CHANNELS[name];
+        const value = spec && coerceConfigNumber(spec, key[name]);
+        if (value === undefined) {
+          cameraWarn("keyframes[" + i + "]: bad " + name, key[name]);
+          continue;
+        }
+        tracks[name].push({ at: at, value: value, ease: ease });
+      }
+      if (at > end) end = at;
+    });
+    for (const name in tracks) {
+      tracks[name].sort(function (a, b) {
+        return a.at - b.at;
+      });
+    }
+
+    const release = coerceConfigNumber(
+      { min: 0, max: CAMERA_RELEASE_MAX_MS },
+      timeline.release === undefined ? CAMERA_RELEASE_MS : timeline.release,
+    );
+    return {
+      tracks: tracks,
+      end: scroll ? 1 : end,
+      hold: scroll || timeline.hold === true,
+      release: release === undefined ? CAMERA_RELEASE_MS : release,
+      scroll: scroll,
+    };
+  }
+
+  function neutralCamera() {
+    const out = {};
+    for (const name in CAMERA_CHANNELS) {
+      out[name] = CAMERA_CHANNELS[name].neutral;
+    }
+    return out;
+  }
+  const CAMERA_NEUTRAL = neutralCamera();
+
+  /** Value of `track` at `pos`, eased between the keyframes around it. */
+  function sampleTrack(track, pos) {
+    if (pos <= track[0].at) return track[0].value;
+    for (let i = 1; i < track.length; i++) {
+      const b = track[i];
+      if (pos < b.at) {
+        const a = track[i - 1];
+        return (
+          a.value + (b.value - a.value) * b.ease((pos - a.at) / (b.at - a.at))
+        );
+      }
+    }
+    return track[track.length - 1].value;
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Clocks                                                                  */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /* A clock is { now(), request(cb), cancel(id) }: now() in ms, request()
+     calls cb(timestamp) once around the next display refresh. */
+  const browserClock = {
+    now() {
+      return performance.now();
+    },
+    request(cb) {
+      if (typeof requestAnimationFrame === "function") {
+        return requestAnimationFrame(cb);
+      }
+      return setTimeout(function () {
+        cb(performance.now());
+      }, 16);
+    },
+    cancel(id) {
+      if (typeof cancelAnimationFrame === "function") {
+        cancelAnimationFrame(id);
+      } else {
+        clearTimeout(id);
+      }
+    },
+  };
+
+  /**
+   * Clock that only moves when told to. Frames requested from it run on the
+   * next advance(), so a test can drive the live loop frame by frame; scenes
+   * stepped with stepTo() alone never need to advance it.
+   */
+  function createManualClock(startMs) {
+    let t = startMs || 0;
+    let nextId = 0;
+    let pending = {};
+    return {
+      now() {
+        return t;
+      },
+      request(cb) {
+        pending[++nextId] = cb;
+        return nextId;
+      },
+      cancel(id) {
+        delete pending[id];
+      },
+      /** Move time forward by `ms` and run the frames requested until now. */
+      advance(ms) {
+        t += ms || 0;
+        const due = pending;
+        pending = {};
+        for (const id in due) due[id](t);
+      },
+    };
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Scene                                                                   */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /**
+   * Create an independent forest. Options (all optional): clock, config,
+   * theme, seed, time (ms to start into the flight), reducedMotion, paused,
+   * onFrame (called after each frame the loop draws). Nothing is drawn
+   * until a backend is attached with setRenderer().
+   */
+  function createScene(options) {
+    options = options || {};
+    const clock = options.clock || browserClock;
+    const onFrame = options.onFrame || null;
+
+    /* ── Configuration ────────────────────────────────────────────────── */
+    const cfg = {};
+    let DEPTH_FAR, DEPTH_NEAR, HALF_W, SPEED_BASE, DRIFT_AMP, DRIFT_FREQ;
+    let X_SPACING, Z_SPACING, X_JITTER, RECYCLE_DELAY_MS;
+    let NEAR_FADE_START_Z, NEAR_FADE_END_Z, CENTER_FADE_BAND_X;
+    let VIEW_WAYPOINTS, VIEW_SWEEP_MS, THEME_DURATION, REDUCED_MOTION_STYLE;
+    let PARALLAX_X, PARALLAX_YAW;
+    let FAR_FADE_INV, SEG_COUNT, SEG_MS, INV_SEG_MS;
+
+    /* ── View: everything a backend needs to project and draw ─────────── */
+    const view = {
+      w: 0, // CSS pixels
+      h: 0,
+      dpr: 1,
+      topY: 0, // trunk top / bottom edges, beyond the viewport
+      bottomY: 0,
+      camX: 0,
+      fov: 0,
+      yawCos: 1,
+      yawSin: 0,
+      depthNear: 0,
+      invDepthRange: 0,
+      nearFadeEndZ: 0,
+      nearFadeInv: 0,
+      invCenterFade: 0,
+      vpDivisor: 0,
+      /* Quality tier bounds */
+      halfW: 0,
+      depthFar: 0,
+      farFadeInv: 0,
+      glow: true,
+      /* Particles: active slots, sprite style and colour */
+      particleCount: 0,
+      particleStyle: "dot",
+      particleColor: [255, 255, 255],
+      fog: 1, // fog overlay alpha multiplier (camera choreography)
+    };
+
+    /* ── Theme state ──────────────────────────────────────────────────── */
+    let themeFrom = null;
+    let themeTo = null;
+    let cur = null; // current (possibly interpolated) theme snapshot
+    let themeElapsed = 0;
+    let themeTransitioning = false;
+    let reducedMotion = false;
+
+    /* ── Runtime state ────────────────────────────────────────────────── */
+    /* User input offset: target in [-1, 1], spring position / velocity */
+    const input = { target: 0, offset: 0, vel: 0, idle: Infinity };
+    /* Camera choreography: the layers playing a timeline, by name, and
+       their combined channels this frame */
+    const cameraLayers = new Map();
+    const camera = neutralCamera();
+    const trees = [];
+    const retiring = []; // previous forest, fading out after a rebuild
+    const particles = []; // sorted by z like the trees
+    let particlePreset = null; // resolved preset (null = none)
+    let particleRng;
+    let rowsPerCol = 0;
+    let deviceDpr = 1;
+    let renderer = null;
+    let seed = DEFAULT_SEED;
+    let rng;
+
+    /* ── Quality governor state ───────────────────────────────────────── */
+    let tierIdx = QUALITY_START;
+    let tier = QUALITY_TIERS[tierIdx];
+    let minFrameMs = 0; // fps cap as a minimum frame interval (0 = uncapped)
+    const gov = {
+      frames: 0,
+      cost: 0, // summed work time in the current window
+      late: 0, // frames whose interval overshot the expected one by 50 %
+      changedAt: 0, // timestamp of the last tier change
+      upHold: GOV_UP_HOLD_MS, // doubles on every step down → no flip-flopping
+    };
+
+    /* ── Frame statistics (see takeStats) ─────────────────────────────── */
+    const stats = {
+      frames: 0, // drawn by the frame loop
+      cost: new Float32Array(STATS_CAPACITY), // ring: work ms per frame
+      interval: new Float32Array(STATS_CAPACITY), // ring: ms since last frame
+      intervals: 0, // frames with an interval (not the first after a start)
+      drawn: 0, // trees projectTree() let through
+      culled: { tier: 0, depth: 0, faint: 0, offscreen: 0 },
+      treeMoves: 0, // elements sortByZDesc() shifted
+      particleMoves: 0,
+      colorRebuilds: 0,
+    };
+
+    /* ── Frame loop state ─────────────────────────────────────────────── */
+    let lastT = 0;
+    let sceneT = 0; // scene clock — only advances while frames are drawn
+    let frameId = 0; // pending clock.request handle (0 = none scheduled)
+    let paused = false;
+
+    function randS(a, b) {
+      return rng() * (b - a) + a;
+    }
+
+    /* ── Configuration ────────────────────────────────────────────────── */
+    /** Copy cfg into the tunables and recompute everything derived from them. */
+    function deriveConstants() {
+      DEPTH_FAR = cfg.depthFar;
+      DEPTH_NEAR = cfg.depthNear;
+      HALF_W = cfg.halfW;
+      SPEED_BASE = cfg.speedBase * cfg.speed;
+      DRIFT_AMP = cfg.driftAmp;
+      DRIFT_FREQ = cfg.driftFreq;
+      X_SPACING = cfg.xSpacing;
+      Z_SPACING = cfg.zSpacing;
+      X_JITTER = X_SPACING * cfg.xJitter;
+      RECYCLE_DELAY_MS = cfg.recycleDelayMs;
+      NEAR_FADE_START_Z = cfg.nearFadeStartZ;
+      NEAR_FADE_END_Z = cfg.nearFadeEndZ;
+      CENTER_FADE_BAND_X = cfg.centerFadeBandX;
+      VIEW_WAYPOINTS = cfg.viewWaypoints;
+      VIEW_SWEEP_MS = cfg.viewSweepMs;
+      THEME_DURATION = cfg.themeDuration;
+      REDUCED_MOTION_STYLE = cfg.reducedMotion;
+      PARALLAX_X = cfg.parallaxX;
+      PARALLAX_YAW = cfg.parallaxYaw * (Math.PI / 180);
+
+      FAR_FADE_INV = 1 / (DEPTH_FAR * cfg.farFadeBand);
+      SEG_COUNT = VIEW_WAYPOINTS.length - 1;
+      SEG_MS = VIEW_SWEEP_MS / SEG_COUNT;
+      INV_SEG_MS = 1 / SEG_MS;
+
+      view.depthNear = DEPTH_NEAR;
+      view.invDepthRange = 1 / (DEPTH_FAR - DEPTH_NEAR);
+      view.nearFadeEndZ = NEAR_FADE_END_Z;
+      view.nearFadeInv = 1 / (NEAR_FADE_START_Z - NEAR_FADE_END_Z);
+      view.invCenterFade = 1 / CENTER_FADE_BAND_X;
+      view.vpDivisor = DEPTH_FAR * 4;
+    }
+
+    /**
+     * Merge a partial settings object into the current configuration.
+     * Unknown keys and unusable values are reported and skipped; numbers are
+     * clamped. Only what depends on the changed values is rebuilt.
+     */
+    function applyConfig(partial) {
+      if (!partial || typeof partial !== "object") return;
+      const next = Object.assign({}, cfg);
+      let changed = false;
+      let forest = false;
+
+      for (const key in partial) {
+        const spec = CONFIG_SPEC[key];
+        if (!spec) {
+          console.warn('[bg] config: unknown setting "' + key + '"');
+          continue;
+        }
+        if (spec.init && renderer) {
+          console.warn("[bg] config: " + key + " can only be set at init");
+          continue;
+        }
+        const value = coerceConfigValue(spec, partial[key]);
+        if (value === undefined) {
+          console.warn("[bg] config: invalid value for " + key, partial[key]);
+          continue;
+        }
+        if (String(value) === String(cfg[key])) continue;
+        next[key] = value;
+        changed = true;
+        if (spec.forest) forest = true;
+      }
+      if (!changed) return;
+
+      if (
+        next.depthNear >= next.depthFar ||
+        next.nearFadeEndZ >= next.nearFadeStartZ
+      ) {
+        console.warn(
+          "[bg] config: ignored — needs depthNear < depthFar and " +
+            "nearFadeEndZ < nearFadeStartZ",
+        );
+        return;
+      }
+
+      const particlesChanged = next.particles !== cfg.particles;
+      Object.assign(cfg, next);
+      deriveConstants();
+      updateTierBounds();
+
+      if (forest && renderer) rebuildForest();
+      if (particlesChanged && cur) selectParticles(cur);
+      scheduleFrame(); // redraw when the loop is stopped (reduced motion)
+    }
+
+    /* ── Theme ────────────────────────────────────────────────────────── */
+    function setThemeTarget(theme) {
+      theme = normalizeTheme(theme);
+      if (reducedMotion) {
+        /* No cross-fade: snap to the new palette and redraw once */
+        cur = cloneTheme(theme);
+        selectParticles(cur);
+        for (let i = 0; i < trees.length; i++) {
+          trees[i].species = pickSpecies(cur.species, trees[i].speciesPick);
+        }
+        themeTransitioning = false;
+        rebuildAllColors();
+        scheduleFrame();
+        return;
+      }
+      selectParticles(theme);
+      themeFrom = cur ? cloneTheme(cur) : cloneTheme(theme);
+      themeTo = theme;
+      themeElapsed = 0;
+      themeTransitioning = true;
+    }
+
+    /** Advance a running cross-fade by `elapsed` ms of drawn frames. */
+    function updateThemeTransition(elapsed) {
+      if (!themeTransitioning) return;
+      themeElapsed += elapsed;
+      var t = THEME_DURATION ? clamp01(themeElapsed / THEME_DURATION) : 1;
+      t = easeInOut01(t);
+      cur = lerpTheme(themeFrom, themeTo, t);
+      rebuildAllColors();
+      if (t >= 1) {
+        themeTransitioning = false;
+      }
+    }
+
+    /** Rebuild all colour-dependent objects from the current theme snapshot. */
+    function rebuildAllColors() {
+      if (particlePreset) view.particleColor = particlePreset.color(cur);
+      if (renderer) {
+        renderer.rebuildColors();
+        stats.colorRebuilds++;
+      }
+    }
+
+    /* ── Forest construction ──────────────────────────────────────────── */
+    function buildForest() {
+      rng = mulberry32(seed); // same seed → same layout, however often we rebuild
+      trees.length = 0;
+      const cols = [];
+      for (let x = 0; x <= HALF_W + 0.01; x += X_SPACING) {
+        cols.push(x);
+        if (x > 0) cols.push(-x);
+      }
+      rowsPerCol = Math.ceil(DEPTH_FAR / Z_SPACING);
+      const speciesRng = mulberry32(seed ^ SPECIES_SEED_SALT);
+
+      for (const cx of cols) {
+        const colX = cx < 0 ? -cx : cx;
+        for (let row = 0; row < rowsPerCol; row++) {
+          /* PRNG call order MUST stay identical to original: x, z, trunkW, hue, lit */
+          const treeX = cx + randS(-X_JITTER, X_JITTER);
+          const treeZ = (row + 1) * Z_SPACING + randS(0, Z_SPACING * 0.3);
+          const trunkW = randS(0.55, 1.1);
+
+          /* hueRng replaces randS(174, 216) — same single rng() call position */
+          const hueRng = rng();
+          const lit = randS(0.55, 1.0);
+          const speciesPick = speciesRng();
+          const flip = speciesRng() < 0.5 ? -1 : 1;
+          const shift = (speciesRng() - 0.5) * 0.12;
+
+          trees.push({
+            colX, // column distance from the centre line — quality tier culling
+            x: treeX,
+            z: treeZ,
+            trunkW,
+            hueRng,
+            lit,
+            speciesPick, // fixed per tree; the species follows the theme's mix
+            species: pickSpecies(cur.species, speciesPick),
+            flip, // ±1 — mirrors the species' parts
+            shift, // moves them along the trunk, so neighbours don't line up
+            fade: 1,
+            recycleWait: 0,
+          });
+        }
+      }
+
+      trees.sort((a, b) => b.z - a.z);
+    }
+
+    /**
+     * Replace the forest in place, optionally stepped `advanceMs` forward.
+     * The old trees keep moving while they fade out and the new ones fade
+     * in; reduced motion swaps them instantly.
+     */
+    function rebuildForest(advanceMs) {
+      const old = reducedMotion ? [] : trees.slice();
+      retiring.length = 0;
+      buildForest();
+      if (advanceMs) advanceScene(advanceMs);
+      if (old.length) {
+        for (let i = 0; i < trees.length; i++) trees[i].fade = 0;
+        for (let i = 0; i < old.length; i++) retiring.push(old[i]);
+      }
+      rebuildAllColors();
+      scheduleFrame();
+    }
+
+    /**
+     * Switch to another seed. With `startMs` the flight restarts that far
+     * in, so a shared link shows what its author saw; otherwise the camera
+     * keeps going and only the trees change.
+     */
+    function setSeed(newSeed, startMs) {
+      newSeed = newSeed >>> 0;
+      const jump = typeof startMs === "number";
+      if (newSeed === seed && !jump) return;
+      seed = newSeed;
+      if (jump) {
+        sceneT = 0;
+        buildParticles(true);
+      }
+      rebuildForest(jump ? startOffset(startMs, VIEW_SWEEP_MS) : 0);
+    }
+
+    /* ── Particles ────────────────────────────────────────────────────── */
+    /**
+     * Resolve the configured preset for `theme` ("auto": fireflies on a
+     * dark sky, pollen on a light one) and respawn the particles, fading
+     * in, when that changes the preset.
+     */
+    function selectParticles(theme) {
+      let name = cfg.particles;
+      if (name === "auto") name = isDarkTheme(theme) ? "fireflies" : "pollen";
+      const preset = PARTICLE_PRESETS[name] || null;
+      if (preset === particlePreset) return;
+      particlePreset = preset;
+      buildParticles(true);
+      rebuildAllColors();
+      scheduleFrame();
+    }
+
+    /** Visible half-extents of the view per unit of depth, with margin. */
+    function frustumX() {
+      return (
+        (view.fov ? (view.w * 0.5) / view.fov : NOMINAL_FRUSTUM) *
+        PARTICLE_MARGIN
+      );
+    }
+    function frustumY() {
+      return (
+        (view.fov ? (view.h * 0.5) / view.fov : NOMINAL_FRUSTUM) *
+        PARTICLE_MARGIN
+      );
+    }
+
+    /**
+     * Place `p` at a random spot of the visible volume between two depths,
+     * fading in. With `edge` (1 bottom, -1 top) it starts on that edge of
+     * the screen instead, fully faded in, and falls into view.
+     */
+    function spawnParticle(p, nearZ, farZ, edge) {
+      const rz = nearZ + particleRng() * (farZ - nearZ);
+      const rx = view.camX + (particleRng() * 2 - 1) * frustumX() * rz;
+      const v = particleRng() * 2 - 1;
+      p.x = rx * view.yawCos + rz * view.yawSin; // rotated view → world
+      p.z = rz * view.yawCos - rx * view.yawSin;
+      p.y = (edge ? edge / PARTICLE_MARGIN : v) * frustumY() * rz;
+      p.fade = edge ? 1 : 0;
+    }
+
+    /** Fresh particles for the current preset, all slots (tiers pick how many). */
+    function buildParticles(fadeIn) {
+      particleRng = mulberry32(seed ^ PARTICLE_SEED_SALT);
+      particles.length = 0;
+      const preset = particlePreset;
+      if (!preset) return;
+      for (let i = 0; i < preset.count; i++) {
+        const p = {
+          slot: i, // drawn while slot < view.particleCount
+          x: 0,
+          y: 0,
+          z: 0,
+          fade: 0,
+          size:
+            preset.size[0] + particleRng() * (preset.size[1] - preset.size[0]),
+          phase: particleRng() * Math.PI * 2,
+          rate: 0.6 + particleRng() * 0.8, // per-particle speed / blink factor
+        };
+        spawnParticle(p, PARTICLE_NEAR_Z, DEPTH_FAR);
+        p.fade = fadeIn ? 0 : 1;
+        particles.push(p);
+      }
+      stats.particleMoves += sortByZDesc(particles);
+      updateTierBounds();
+    }
+
+    /**
+     * Move particles with the forest plus their own fall and wander. Ones
+     * that pass the camera respawn in the distance; ones that leave the
+     * visible volume elsewhere respawn at any depth (fromEdge presets at
+     * the edge they fall from, so rain keeps coming in at the top).
+     * Wrapping them to the opposite edge instead would pile them up there:
+     * as the camera closes in, everything drifts outwards.
+     */
+    function moveParticles(dt, t) {
+      const preset = particlePreset;
+      if (!preset) return;
+      const move = SPEED_BASE * camera.speed * dt;
+      const kx = frustumX();
+      const ky = frustumY();
+      const c = view.yawCos;
+      const s = view.yawSin;
+      const fadeDelta = dt / PARTICLE_FADE_MS;
+      const fallEdge = !preset.fromEdge ? 0 : preset.fall > 0 ? -1 : 1;
+
+      for (let i = 0, n = particles.length; i < n; i++) {
+        const p = particles[i];
+        const wave = t * 0.001 * p.rate + p.phase;
+        p.z -= move;
+        p.x += Math.sin(wave) * preset.wander * dt;
+        p.y +=
+          (preset.fall * p.rate + Math.cos(wave * 1.3) * preset.wander) * dt;
+        if (p.fade < 1) p.fade = Math.min(1, p.fade + fadeDelta);
+
+        const dx = p.x * c - p.z * s - view.camX;
+        const rz = p.x * s + p.z * c;
+        if (rz < PARTICLE_NEAR_Z) {
+          spawnParticle(p, view.depthFar * 0.85, view.depthFar);
+        } else if ((p.y < 0 ? -p.y : p.y) > ky * rz) {
+          spawnParticle(p, PARTICLE_NEAR_Z, view.depthFar, fallEdge);
+        } else if ((dx < 0 ? -dx : dx) > kx * rz) {
+          spawnParticle(p, PARTICLE_NEAR_Z, view.depthFar);
+        }
+      }
+
+      stats.particleMoves += sortByZDesc(particles);
+    }
+
+    /**
+     * Project one particle into `out` (x, y: centre in CSS pixels; r: radius;
+     * len: streak length above the centre; alpha) with the same camera as
+     * projectTree(). Returns false when it is not drawn.
+     */
+    function projectParticle(p, out) {
+      const preset = particlePreset;
+      if (!preset || p.slot >= view.particleCount) return false;
+      const rx = p.x * view.yawCos - p.z * view.yawSin;
+      const rz = p.x * view.yawSin + p.z * view.yawCos;
+      if (rz <= PARTICLE_NEAR_Z || rz >= view.depthFar) return false;
+
+      const farAlpha = clamp01((view.depthFar - rz) * view.farFadeInv);
+      const nearAlpha = clamp01(
+        (rz - PARTICLE_NEAR_Z) * PARTICLE_NEAR_FADE_INV,
+      );
+      let alpha = preset.alpha * p.fade * farAlpha * nearAlpha;
+      if (preset.twinkle) {
+        const blink =
+          0.5 + 0.5 * Math.sin(sceneT * preset.twinkle * p.rate + p.phase);
+        alpha *= blink * blink;
+      }
+      if (alpha <= 0.002) return false;
+
+      const scale = view.fov / rz;
+      const x = view.w * 0.5 + (rx - view.camX) * scale;
+      const y = view.h * 0.5 + p.y * scale;
+      const r = Math.max(0.5, p.size * scale);
+      const len = preset.streak * scale;
+      const reach = preset.style === "glow" ? r * 4 : r;
+      if (x + reach < 0 || x - reach > view.w) return false;
+      if (y + reach < 0 || y - len - reach > view.h) return false;
+
+      out.x = x;
+      out.y = y;
+      out.r = r;
+      out.len = len;
+      out.alpha = alpha;
+      return true;
+    }
+
+    /** Step the scene forward by `ms` without drawing. */
+    function advanceScene(ms) {
+      while (ms > 0) {
+        const dt = ms < 48 ? ms : 48;
+        sceneT += dt;
+        update(dt, sceneT, true);
+        ms -= dt;
+      }
+    }
+
+    /* ── Resize ───────────────────────────────────────────────────────── */
+    /** Projection for a w × h view (CSS pixels), whatever its aspect. */
+    function setViewSize(w, h) {
+      view.w = w;
+      view.h = h;
+      view.fov = Math.max(w, h) * 1.55;
+      view.topY = -(h * 0.12);
+      view.bottomY = h * 1.12;
+    }
+
+    function handleResize(w, h, devDpr) {
+      setViewSize(w, h);
+      deviceDpr = devDpr || 1;
+      view.dpr = Math.min(deviceDpr, tier.dpr); // never above what the tier allows
+      if (!renderer) return;
+
+      const canvas = renderer.canvas;
+      canvas.width = Math.round(w * view.dpr);
+      canvas.height = Math.round(h * view.dpr);
+      if (canvas.style) {
+        canvas.style.width = w + "px";
+        canvas.style.height = h + "px";
+      }
+      renderer.resize();
+
+      rebuildAllColors();
+      resetGovernor(); // gradient rebuilds make this window unrepresentative
+      scheduleFrame(); // resizing clears the canvas — redraw even when still
+    }
+
+    /* ── Update (physics / camera) ────────────────────────────────────── */
+    /** Advance by `dt` ms to scene time `t`. `autopilot` leaves the camera
+     *  choreography out (start offsets: a link replays the same flight). */
+    function update(dt, t, autopilot) {
+      if (reducedMotion || autopilot) Object.assign(camera, CAMERA_NEUTRAL);
+      else updateCamera(dt);
+      view.fog = camera.fog;
+
+      /* Reduced motion: camera holds its current yaw / offset, trees crawl */
+      if (reducedMotion) {
+        moveTrees(dt * REDUCED_SPEED_SCALE);
+        moveParticles(dt * REDUCED_SPEED_SCALE, t);
+        return;
+      }
+
+      /* Yaw sweep: smooth interpolation through waypoints */
+      const localT = t % VIEW_SWEEP_MS;
+      const seg = Math.min((localT * INV_SEG_MS) | 0, SEG_COUNT - 1);
+      const segU = (localT - seg * SEG_MS) * INV_SEG_MS;
+      const easedU = 0.5 - 0.5 * Math.cos(segU * Math.PI);
+      updateInput(dt);
+      const yaw =
+        (90 -
+          (VIEW_WAYPOINTS[seg] +
+            (VIEW_WAYPOINTS[seg + 1] - VIEW_WAYPOINTS[seg]) * easedU) +
+          camera.yaw) *
+          (Math.PI / 180) +
+        input.offset * PARALLAX_YAW;
+      view.yawCos = Math.cos(yaw);
+      view.yawSin = Math.sin(yaw);
+
+      /* Multi-frequency drift */
+      view.camX =
+        Math.sin(t * DRIFT_FREQ) * DRIFT_AMP +
+        Math.sin(t * DRIFT_FREQ * 2.6 + 1.1) * DRIFT_AMP * 0.38 +
+        Math.sin(t * DRIFT_FREQ * 0.7 + 2.4) * DRIFT_AMP * 0.2 +
+        input.offset * PARALLAX_X +
+        camera.x;
+
+      moveTrees(dt);
+      moveParticles(dt, t);
+    }
+
+    /** Spring the input offset toward the latest input, or back to 0 once idle. */
+    function updateInput(dt) {
+      input.idle += dt;
+      const target = input.idle < INPUT_IDLE_MS ? input.target : 0;
+      const s = dt * 0.001;
+      input.vel +=
+        (INPUT_SPRING_K * (target - input.offset) -
+          INPUT_SPRING_D * input.vel) *
+        s;
+      input.offset += input.vel * s;
+    }
+
+    /** New pointer / tilt reading in [-1, 1]. Ignored under reduced motion. */
+    function setInput(x) {
+      if (reducedMotion || typeof x !== "number" || !isFinite(x)) return;
+      input.target = x < -1 ? -1 : x > 1 ? 1 : x;
+      input.idle = 0;
+    }
+
+    /* ── Camera choreography ──────────────────────────────────────────── */
+    /**
+     * Play `timeline` (see normalizeTimeline) in the layer named `layer`,
+     * replacing whatever it played. A timed one starts from where the
+     * layer is, so a new move can take over halfway through the last;
+     * channels it leaves out ease back to autopilot, and once it ends the
+     * layer does too unless it holds. null releases the layer. Ignored
+     * under reduced motion.
+     */
+    function playCamera(layer, timeline) {
+      const old = cameraLayers.get(layer);
+      if (timeline === null && !old) return;
+      const tl = normalizeTimeline(timeline === null ? {} : timeline);
+      if (!tl) return;
+      const from = old ? old.out : neutralCamera();
+      const keys = {};
+      const duration = tl.hold ? Infinity : tl.end + tl.release;
+
+      for (const name in CAMERA_CHANNELS) {
+        const neutral = CAMERA_CHANNELS[name].neutral;
+        let track = tl.tracks[name];
+        if (tl.scroll) {
+          /* Scrubbed: from autopilot at the top */
+          if (track.length && track[0].at > 0) {
+            track = [{ at: 0, value: neutral }].concat(track);
+          }
+        } else {
+          if (!track.length) {
+            track = [
+              { at: tl.end || tl.release, value: neutral, ease: easeInOut01 },
+            ];
+          }
+          if (track[0].at > 0) {
+            track = [{ at: 0, value: from[name] }].concat(track);
+          }
+          /* Unless it holds: keep the last value to the end, then let go */
+          const last = track[track.length - 1];
+          if (!tl.hold && last.at < tl.end) {
+            track = track.concat({
+              at: tl.end,
+              value: last.value,
+              ease: CAMERA_EASES.linear,
+            });
+          }
+          if (!tl.hold && tl.release > 0 && tl.end + tl.release > last.at) {
+            track = track.concat({
+              at: tl.end + tl.release,
+              value: neutral,
+              ease: easeInOut01,
+            });
+          }
+        }
+        keys[name] = track;
+      }
+
+      cameraLayers.set(layer, {
+        tl: tl,
+        keys: keys,
+        duration: duration,
+        time: 0,
+        progress: -1, // scroll position, eased toward target (-1: not yet)
+        target: 0,
+        out: Object.assign({}, from),
+      });
+    }
+
+    /** Scroll position (0–1) for a layer playing a "scroll" timeline. */
+    function scrubCamera(layer, progress) {
+      const l = cameraLayers.get(layer);
+      if (!l || !l.tl.scroll || typeof progress !== "number") return;
+      if (isFinite(progress)) l.target = clamp01(progress);
+    }
+
+    /** Advance the layers by `dt` ms and combine them into `camera`. */
+    function updateCamera(dt) {
+      Object.assign(camera, CAMERA_NEUTRAL);
+      const ease = 1 - Math.exp(-dt / CAMERA_SCROLL_SMOOTH_MS);
+      cameraLayers.forEach(function (l, layer) {
+        let pos;
+        if (l.tl.scroll) {
+          l.progress =
+            l.progress < 0
+              ? l.target
+              : l.progress + (l.target - l.progress) * ease;
+          pos = l.progress;
+        } else {
+          pos = l.time += dt;
+        }
+        for (const name in CAMERA_CHANNELS) {
+          const spec = CAMERA_CHANNELS[name];
+          const track = l.keys[name];
+          const v = track.length ? sampleTrack(track, pos) : spec.neutral;
+          l.out[name] = v;
+          camera[name] = spec.product ? camera[name] * v : camera[name] + v;
+        }
+        if (l.time >= l.duration) cameraLayers.delete(layer);
+      });
+      for (const name in CAMERA_CHANNELS) {
+        const spec = CAMERA_CHANNELS[name];
+        camera[name] = Math.min(spec.max, Math.max(spec.min, camera[name]));
+      }
+    }
+
+    /** Move trees toward the camera and recycle the ones that passed it. */
+    function moveTrees(dt) {
+      const move = SPEED_BASE * camera.speed * dt;
+      const recOffset = rowsPerCol * Z_SPACING;
+      const fadeDelta = dt * 0.0015;
+
+      for (let i = trees.length - 1; i >= 0; i--) {
+        const tr = trees[i];
+        tr.z -= move;
+        if (tr.fade < 1) tr.fade = Math.min(1, tr.fade + fadeDelta);
+
+        if (tr.z < 1.1) {
+          tr.recycleWait += dt;
+          if (tr.recycleWait >= RECYCLE_DELAY_MS) {
+            tr.z += recOffset;
+            tr.fade = 0;
+            tr.recycleWait = 0;
+            /* Out of sight, so a new theme's mix takes over tree by tree */
+            tr.species = pickSpecies(cur.species, tr.speciesPick);
+          }
+        } else {
+          tr.recycleWait = 0;
+        }
+      }
+
+      stats.treeMoves += sortByZDesc(trees);
+
+      /* Retiring trees: fade out, never recycle */
+      for (let i = retiring.length - 1; i >= 0; i--) {
+        const tr = retiring[i];
+        tr.z -= move;
+        tr.fade -= fadeDelta;
+        if (tr.fade <= 0) retiring.splice(i, 1);
+      }
+    }
+
+    /* ── Projection ───────────────────────────────────────────────────── */
+    /**
+     * Project one tree into `out` (depth, alpha and the trunk trapezoid:
+     * vx / topW at topY, screenX / baseW at bottomY). Returns false when the
+     * tree is culled: outside the tier, behind the camera, too faint or
+     * off-screen.
+     */
+    function projectTree(t, out) {
+      if (t.colX > view.halfW) {
+        stats.culled.tier++;
+        return false;
+      }
+
+      /* World → rotated view */
+      const rx = t.x * view.yawCos - t.z * view.yawSin;
+      const rz = t.x * view.yawSin + t.z * view.yawCos;
+      if (rz <= 0.5 || rz >= view.depthFar) {
+        stats.culled.depth++;
+        return false;
+      }
+
+      /* Depth & fade factors */
+      const depth = clamp01(1 - (rz - view.depthNear) * view.invDepthRange);
+      const farAlpha = clamp01((view.depthFar - rz) * view.farFadeInv);
+
+      const nearT = clamp01((rz - view.nearFadeEndZ) * view.nearFadeInv);
+      const nearAlpha = easeInOut01(nearT);
+      const dx = rx - view.camX;
+      const absDx = dx < 0 ? -dx : dx;
+      const sideKeep = easeInOut01(clamp01(absDx * view.invCenterFade));
+
+      const alpha =
+        t.fade * (nearAlpha + (1 - nearAlpha) * sideKeep) * farAlpha;
+      if (alpha <= 0.002) {
+        stats.culled.faint++;
+        return false;
+      }
+
+      /* Projection */
+      const W = view.w;
+      const scale = view.fov / rz;
+      const screenX = W * 0.5 + dx * scale;
+      const baseW = t.trunkW * scale;
+
+      const vScale = view.fov / view.vpDivisor;
+      const vx = W * 0.5 + dx * vScale;
+      const raw = baseW * 0.022;
+      const topW = raw < 0.6 ? 0.6 : raw;
+
+      /* Off-screen cull — the trapezoid widened to the species' reach,
+         top (vx) AND bottom (screenX) */
+      const reach = SPECIES[t.species].reach;
+      const topR = topW * reach;
+      const baseR = baseW * reach;
+      const minX = vx - topR < screenX - baseR ? vx - topR : screenX - baseR;
+      const maxX = vx + topR > screenX + baseR ? vx + topR : screenX + baseR;
+      if (maxX < 0 || minX > W) {
+        stats.culled.offscreen++;
+        return false;
+      }
+
+      stats.drawn++;
+      out.depth = depth;
+      out.alpha = alpha;
+      out.vx = vx;
+      out.topW = topW;
+      out.screenX = screenX;
+      out.baseW = baseW;
+      return true;
+    }
+
+    /* ── Quality governor ─────────────────────────────────────────────── */
+    /**
+     * Forest extent a tier draws (depends on HALF_W / DEPTH_FAR): the
+     * current one, or `q` for a single still. Only the current tier fades
+     * newly shown particles in.
+     */
+    function updateTierBounds(q) {
+      q = q || tier;
+      view.halfW = HALF_W * q.cols + 0.01;
+      view.depthFar = DEPTH_FAR * q.depth;
+      view.farFadeInv = FAR_FADE_INV / q.depth;
+      view.glow = q.glow;
+
+      const preset = particlePreset;
+      const count = preset ? Math.round(preset.count * q.particles) : 0;
+      for (let i = 0; q === tier && i < particles.length; i++) {
+        const p = particles[i];
+        if (p.slot >= view.particleCount && p.slot < count) p.fade = 0; // newly shown
+      }
+      view.particleCount = count;
+      view.particleStyle = preset ? preset.style : "dot";
+    }
+
+    function setTier(idx, ts) {
+      tierIdx = idx;
+      tier = QUALITY_TIERS[idx];
+      updateTierBounds();
+      minFrameMs = tier.fps ? 1000 / tier.fps : 0;
+      gov.changedAt = ts;
+      if (renderer && Math.min(deviceDpr, tier.dpr) !== view.dpr) {
+        handleResize(view.w, view.h, deviceDpr);
+      }
+    }
+
+    /** Start a fresh measurement window (after resize, resume, tier change). */
+    function resetGovernor() {
+      gov.frames = 0;
+      gov.cost = 0;
+      gov.late = 0;
+    }
+
+    /** Record one drawn frame; step the tier at the end of each window. */
+    function govern(cost, interval, ts) {
+      if (!gov.changedAt) gov.changedAt = ts;
+      gov.frames++;
+      gov.cost += cost;
+      if (interval > (minFrameMs || 1000 / 60) * 1.5) gov.late++;
+      if (gov.frames < GOV_WINDOW) return;
+
+      const meanCost = gov.cost / gov.frames;
+      const lateRatio = gov.late / gov.frames;
+      resetGovernor();
+
+      if (
+        tierIdx > 0 &&
+        (meanCost > GOV_DOWN_COST || lateRatio > GOV_DOWN_LATE)
+      ) {
+        gov.upHold = Math.min(gov.upHold * 2, GOV_UP_HOLD_MAX_MS);
+        setTier(tierIdx - 1, ts);
+      } else if (
+        tierIdx < QUALITY_TIERS.length - 1 &&
+        meanCost < GOV_UP_COST &&
+        lateRatio < GOV_UP_LATE &&
+        ts - gov.changedAt >= gov.upHold
+      ) {
+        setTier(tierIdx + 1, ts);
+      }
+    }
+
+    /* ── Frame loop ───────────────────────────────────────────────────── */
+    function frame(ts) {
+      frameId = 0;
+      if (paused) return;
+      if (ts === undefined) ts = clock.now();
+      const still = reducedMotion && REDUCED_MOTION_STYLE === "still";
+
+      /* fps cap: skip this vsync, dt keeps accumulating from the last draw */
+      if (!still && minFrameMs && lastT && ts - lastT < minFrameMs - 1) {
+        scheduleFrame();
+        return;
+      }
+
+      const workStart = clock.now();
+      const interval = lastT ? ts - lastT : 0;
+      const dt = still ? 0 : lastT ? Math.min(interval, 48) : STEP_MS;
+      lastT = ts;
+      sceneT += dt;
+
+      /* Animate theme transition (no-op when not transitioning) */
+      updateThemeTransition(interval || STEP_MS);
+
+      update(dt, sceneT);
+      renderer.draw();
+      if (onFrame) onFrame();
+
+      const cost = clock.now() - workStart;
+      recordFrame(cost, interval);
+
+      /* Still frames and the first frame after a (re)start say nothing about
+         sustained load */
+      if (!still && interval) govern(cost, interval, ts);
+
+      if (!still) scheduleFrame();
+    }
+
+    function recordFrame(cost, interval) {
+      stats.cost[stats.frames % STATS_CAPACITY] = cost;
+      stats.frames++;
+      if (interval) {
+        stats.interval[stats.intervals % STATS_CAPACITY] = interval;
+        stats.intervals++;
+      }
+    }
+
+    /**
+     * Frame statistics since the previous call, then start afresh: frames
+     * drawn, work time (update + draw submission) and frame interval
+     * percentiles in ms, per-frame means of trees drawn, trees culled by
+     * reason (both counted by projectTree, which the WebGL2 backend leaves
+     * to its vertex shader) and sort moves, colour / gradient rebuilds in
+     * total, and the tier and sizes they were measured at.
+     */
+    function takeStats() {
+      const frames = stats.frames;
+      const per = frames || 1;
+      const mean = function (v) {
+        return Math.round((v / per) * 10) / 10;
+      };
+      const out = {
+        frames: frames,
+        cost: percentiles(stats.cost, Math.min(frames, STATS_CAPACITY)),
+        interval: percentiles(
+          stats.interval,
+          Math.min(stats.intervals, STATS_CAPACITY),
+        ),
+        drawn: mean(stats.drawn),
+        culled: {
+          tier: mean(stats.culled.tier),
+          depth: mean(stats.culled.depth),
+          faint: mean(stats.culled.faint),
+          offscreen: mean(stats.culled.offscreen),
+        },
+        treeMoves: mean(stats.treeMoves),
+        particleMoves: mean(stats.particleMoves),
+        colorRebuilds: stats.colorRebuilds,
+        tier: tierIdx,
+        dpr: view.dpr,
+        trees: trees.length + retiring.length,
+        particles: view.particleCount,
+        renderer: renderer ? renderer.name : null,
+      };
+      stats.frames = stats.intervals = 0;
+      stats.drawn = stats.treeMoves = stats.particleMoves = 0;
+      stats.colorRebuilds = 0;
+      for (const reason in stats.culled) stats.culled[reason] = 0;
+      return out;
+    }
+
+    function scheduleFrame() {
+      if (paused || frameId || !renderer) return;
+      frameId = clock.request(frame);
+    }
+
+    function cancelFrame() {
+      if (!frameId) return;
+      clock.cancel(frameId);
+      frameId = 0;
+    }
+
+    /** Stop the loop; the scene clock freezes with it. */
+    function pause() {
+      paused = true;
+      cancelFrame();
+    }
+
+    /** Restart the loop. Clearing lastT makes the first frame a nominal 16 ms
+     *  step, so trees and camera continue from where they stopped. */
+    function resume() {
+      if (!paused) return;
+      paused = false;
+      lastT = 0;
+      resetGovernor();
+      scheduleFrame();
+    }
+
+    /** Toggle reduced motion. A running theme cross-fade snaps to its target. */
+    function setReducedMotion(on) {
+      reducedMotion = on;
+      if (on) input.idle = Infinity; // drop pending input — no parallax
+      if (on && themeTransitioning) setThemeTarget(themeTo);
+      lastT = 0;
+      scheduleFrame();
+    }
+
+    /**
+     * Simulate up to scene time `ms` in fixed steps (16 ms unless `stepMs`
+     * says otherwise) and draw once — the deterministic counterpart of the
+     * frame loop, independent of the clock and of pause. A running theme
+     * cross-fade advances with the steps. Asking for an earlier time replays
+     * from a freshly built forest, so the same time gives the same frame as
+     * long as every stop falls on the step grid. The rewind drops every
+     * camera layer and lands a running cross-fade on its target first.
+     */
+    function stepTo(ms, stepMs) {
+      const step = stepMs > 0 ? stepMs : STEP_MS;
+      if (ms < sceneT) {
+        if (themeTransitioning) {
+          cur = cloneTheme(themeTo);
+          themeTransitioning = false;
+        }
+        cameraLayers.clear();
+        Object.assign(camera, CAMERA_NEUTRAL);
+        view.fog = camera.fog;
+        /* Particles first spawn around a camera at rest, before any resize */
+        const fov = view.fov;
+        view.camX = 0;
+        view.yawCos = 1;
+        view.yawSin = 0;
+        view.fov = 0;
+        retiring.length = 0;
+        buildForest();
+        buildParticles(false);
+        view.fov = fov;
+        input.target = input.offset = input.vel = 0;
+        input.idle = Infinity;
+        sceneT = 0;
+        rebuildAllColors();
+      }
+      while (sceneT < ms) {
+        const dt = ms - sceneT < step ? ms - sceneT : step;
+        sceneT += dt;
+        updateThemeTransition(dt);
+        update(dt, sceneT);
+      }
+      if (renderer) renderer.draw();
+    }
+
+    /**
+     * Draw the scene as it stands — trees, particles, theme and camera —
+     * with another backend `r` (its own canvas) at w × h pixels and the top
+     * quality tier, whatever the governor has settled on, then give the
+     * view back to the attached backend. Nothing moves and the loop is
+     * left alone; only cached colours are rebuilt, once for `r` and once
+     * more for the live backend.
+     */
+    function renderStill(r, w, h) {
+      const live = renderer;
+      const saved = {
+        w: view.w,
+        h: view.h,
+        dpr: view.dpr,
+        fov: view.fov,
+        topY: view.topY,
+        bottomY: view.bottomY,
+      };
+      renderer = r;
+      try {
+        setViewSize(w, h);
+        view.dpr = 1;
+        updateTierBounds(QUALITY_TIERS[QUALITY_TIERS.length - 1]);
+        r.canvas.width = w;
+        r.canvas.height = h;
+        r.resize();
+        rebuildAllColors();
+        r.draw();
+      } finally {
+        renderer = live;
+        Object.assign(view, saved);
+        updateTierBounds();
+        rebuildAllColors();
+      }
+    }
+
+    /** Attach a backend (or detach with null) and size it to the view. */
+    function setRenderer(r) {
+      cancelFrame();
+      renderer = r;
+      if (renderer && view.w) handleResize(view.w, view.h, deviceDpr);
+    }
+
+    /* ── Initial state ────────────────────────────────────────────────── */
+    for (const key in CONFIG_SPEC) cfg[key] = CONFIG_SPEC[key].def;
+    deriveConstants();
+    updateTierBounds();
+    applyConfig(options.config);
+
+    cur = normalizeTheme(options.theme);
+    reducedMotion = !!options.reducedMotion;
+    paused = !!options.paused;
+    if (options.seed !== undefined) seed = options.seed >>> 0;
+    buildForest();
+    selectParticles(cur);
+    for (let i = 0; i < particles.length; i++) particles[i].fade = 1;
+    advanceScene(startOffset(options.time, VIEW_SWEEP_MS));
+
+    return {
+      view: view,
+      trees: trees,
+      retiring: retiring, // drawn underneath trees while they fade out
+      particles: particles, // drawn between the trees, sorted by z
+      /** Settings as applied (read-only — change them with applyConfig) */
+      config: cfg,
+      get theme() {
+        return cur;
+      },
+      get themeTransitioning() {
+        return themeTransitioning;
+      },
+      get seed() {
+        return seed;
+      },
+      get time() {
+        return sceneT;
+      },
+      get tier() {
+        return tierIdx;
+      },
+      get renderer() {
+        return renderer;
+      },
+      setRenderer: setRenderer,
+      resize: handleResize,
+      applyConfig: applyConfig,
+      /** Switch the particle preset by name (see CONFIG_SPEC.particles). */
+      setParticles(name) {
+        applyConfig({ particles: name });
+      },
+      setTheme: setThemeTarget,
+      setSeed: setSeed,
+      setInput: setInput,
+      playCamera: playCamera,
+      scrubCamera: scrubCamera,
+      /** Combined camera channels of the last frame (CAMERA_CHANNELS). */
+      camera: camera,
+      setReducedMotion: setReducedMotion,
+      pause: pause,
+      resume: resume,
+      frame: frame,
+      scheduleFrame: scheduleFrame,
+      stepTo: stepTo,
+      renderStill: renderStill,
+      projectTree: projectTree,
+      projectParticle: projectParticle,
+      takeStats: takeStats,
+      /** Seed and rounded scene time — enough to reproduce this view. */
+      getState() {
+        return { seed: seed, time: Math.round(sceneT) };
+      },
+    };
+  }
+
+  return {
+    CONFIG_SPEC: CONFIG_SPEC,
+    QUALITY_TIERS: QUALITY_TIERS,
+    PARTICLE_PRESETS: PARTICLE_PRESETS,
+    SPECIES: SPECIES,
+    SPECIES_NAMES: SPECIES_NAMES,
+    defineSpecies: defineSpecies,
+    CAMERA_CHANNELS: CAMERA_CHANNELS,
+    normalizeTimeline: normalizeTimeline,
+    DEFAULT_THEME: DEFAULT_THEME,
+    DEFAULT_SEED: DEFAULT_SEED,
+    DEPTH_QUANT: DEPTH_QUANT,
+    mulberry32: mulberry32,
+    clamp01: clamp01,
+    easeInOut01: easeInOut01,
+    rgbStr: rgbStr,
+    rgbaStr: rgbaStr,
+    cloneTheme: cloneTheme,
+    normalizeTheme: normalizeTheme,
+    lerpTheme: lerpTheme,
+    createManualClock: createManualClock,
+    createScene: createScene,
+  };
+});
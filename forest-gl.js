@@ -0,0 +1,643 @@
+/**
+ * Forest fly-through — WebGL2 backend.
+ * All trees in one instanced buffer; fades, glow and fog in shaders, the
+ * theme as uniforms. Particles are projected on the CPU (projectParticle)
+ * and drawn as instanced sprites, interleaved with the trees in a few depth
+ * slices. Loaded as a classic script it defines `self.ForestGL`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./forest-core.js"));
+  } else {
+    root.ForestGL = factory(root.ForestCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (ForestCore) {
+  /* Sky and fog are full-screen gradients; every tree is one instance of a
+     4-vertex strip whose corners, fades and colours come from the same maths
+     as projectTree() in forest-core.js. The species' parts are one more
+     instanced draw of a mesh holding every species' triangles in trunk
+     space; each tree keeps only its own. Colours are premultiplied; blend =
+     ONE, ONE_MINUS_SRC_ALPHA. */
+
+  const GL_GRADIENT_VS = `#version 300 es
+out float vY;
+void main() {
+  vec2 p = vec2(gl_VertexID == 1 ? 3.0 : -1.0, gl_VertexID == 2 ? -3.0 : 1.0);
+  vY = 0.5 - 0.5 * p.y; // 0 at the top edge, 1 at the bottom
+  gl_Position = vec4(p, 0.0, 1.0);
+}`;
+
+  const GL_GRADIENT_FS = `#version 300 es
+precision mediump float;
+uniform vec4 uStop[6]; // premultiplied rgba
+uniform float uPos[6];
+uniform int uCount;
+in float vY;
+out vec4 outColor;
+void main() {
+  vec4 c = uStop[0];
+  for (int i = 1; i < 6; i++) {
+    if (i >= uCount) break;
+    if (vY >= uPos[i - 1]) {
+      float span = max(uPos[i] - uPos[i - 1], 1e-5);
+      c = mix(uStop[i - 1], uStop[i], clamp((vY - uPos[i - 1]) / span, 0.0, 1.0));
+    }
+  }
+  outColor = c;
+}`;
+
+  const GL_TREE_VS = `#version 300 es
+layout(location = 0) in vec4 aTree; // x, z, trunkW, hueRng
+layout(location = 1) in vec2 aLit; // lit, fade (0 when culled by the tier)
+layout(location = 2) in vec3 aShape; // species index, flip, shift
+layout(location = 3) in vec4 aBody; // trunk tone: dh, ds, dl, da (da 0: none)
+layout(location = 4) in vec3 aPart; // part mesh: u, s, species index
+layout(location = 5) in vec4 aTone; // part mesh: tone
+uniform bool uParts; // false: the trunk strip, true: the part mesh
+uniform vec2 uRes; // W, H
+uniform vec2 uCam; // cam.x, cam.fov
+uniform vec2 uYaw; // cos, sin
+uniform vec2 uSpan; // topY, bottomY
+uniform vec4 uDepth; // DEPTH_NEAR, INV_DEPTH_RANGE, tier depth far, far-fade inv
+uniform vec4 uFade; // NEAR_FADE_END_Z, NEAR_FADE_INV, INV_CENTER_FADE, VP_DIVISOR
+uniform vec2 uHue; // treeHueMin, treeHueMax
+uniform float uQuant; // DEPTH_QUANT - 1
+out float vV;
+out float vSolidA;
+out float vGlowA;
+flat out float vHue;
+flat out float vLight;
+flat out vec3 vTone; // dh, ds, dl
+
+float ease(float u) { return u * u * (3.0 - 2.0 * u); }
+
+void main() {
+  vec4 tone = uParts ? aTone : aBody;
+  float rx = aTree.x * uYaw.x - aTree.y * uYaw.y;
+  float rz = aTree.x * uYaw.y + aTree.y * uYaw.x;
+  float depth = clamp(1.0 - (rz - uDepth.x) * uDepth.y, 0.0, 1.0);
+  float farA = clamp((uDepth.z - rz) * uDepth.w, 0.0, 1.0);
+  float nearA = ease(clamp((rz - uFade.x) * uFade.y, 0.0, 1.0));
+  float dx = rx - uCam.x;
+  float side = ease(clamp(abs(dx) * uFade.z, 0.0, 1.0));
+  float alpha = aLit.y * (nearA + (1.0 - nearA) * side) * farA;
+  if (rz <= 0.5 || rz >= uDepth.z || alpha <= 0.002 || tone.w <= 0.0 ||
+      (uParts && aPart.z != aShape.x)) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+    return;
+  }
+
+  float scale = uCam.y / rz;
+  float screenX = uRes.x * 0.5 + dx * scale;
+  float baseW = aTree.z * scale;
+  float vx = uRes.x * 0.5 + dx * (uCam.y / uFade.w);
+  float topW = max(baseW * 0.022, 0.6);
+
+  /* Trunk space: u down the trunk, s across it in local half-widths */
+  vec2 us = uParts
+    ? vec2(aPart.x + aShape.z, aPart.y * aShape.y)
+    : vec2(float(gl_VertexID >> 1), float(gl_VertexID & 1) * 2.0 - 1.0);
+  float px = mix(vx, screenX, us.x) + us.y * mix(topW, baseW, us.x);
+  float py = mix(uSpan.x, uSpan.y, us.x);
+  gl_Position = vec4(px / uRes.x * 2.0 - 1.0, 1.0 - py / uRes.y * 2.0, 0.0, 1.0);
+
+  vV = us.x;
+  vSolidA = min(1.0, (0.07 + depth * 0.28) * alpha * tone.w);
+  vGlowA = uParts ? 0.0 : aLit.x * alpha;
+  vHue = uHue.x + aTree.w * (uHue.y - uHue.x);
+  vLight = floor(depth * uQuant + 0.5) / uQuant; // quantised like the 2D bake
+  vTone = tone.xyz;
+}`;
+
+  const GL_TREE_FS = `#version 300 es
+precision mediump float;
+uniform vec3 uTree; // treeSat, treeLightMin, treeLightMax
+uniform float uGlow;
+in float vV;
+in float vSolidA;
+in float vGlowA;
+flat in float vHue;
+flat in float vLight;
+flat in vec3 vTone;
+out vec4 outColor;
+
+vec3 hsl(float h, float s, float l) {
+  vec3 k = mod(vec3(0.0, 8.0, 4.0) + h / 30.0, 12.0);
+  float a = s * min(l, 1.0 - l);
+  return l - a * clamp(min(k - 3.0, 9.0 - k), -1.0, 1.0);
+}
+
+vec4 stop(float dh, float s, float l, float a) {
+  return vec4(hsl(vHue + dh, s, l * 0.01) * a, a);
+}
+
+void main() {
+  float lMin = uTree.y;
+  float lMax = uTree.z;
+  float sat = min(100.0, uTree.x * vTone.y);
+  float light = clamp(lMin + vLight * (lMax - lMin) + vTone.z, 0.0, 100.0);
+  vec3 body = hsl(vHue + vTone.x, sat * 0.01, light * 0.01);
+  vec4 c = vec4(body, 1.0) * vSolidA;
+
+  if (uGlow > 0.5 && vGlowA > 0.0) {
+    vec4 s0 = stop(-14.0, 0.86, min(90.0, lMax + 28.0), 0.62);
+    vec4 s1 = stop(-7.0, 0.76, min(72.0, lMax + 16.0), 0.35);
+    vec4 s2 = stop(0.0, 0.66, min(54.0, lMax + 6.0), 0.11);
+    vec4 s3 = stop(10.0, 0.56, max(8.0, lMin - 4.0), 0.0);
+    vec4 glow =
+      vV < 0.15 ? mix(s0, s1, vV / 0.15) :
+      vV < 0.46 ? mix(s1, s2, (vV - 0.15) / 0.31) :
+      mix(s2, s3, (vV - 0.46) / 0.54);
+    glow *= vGlowA;
+    c = glow + c * (1.0 - glow.a); // glow drawn over the body
+  }
+  outColor = c;
+}`;
+  const GL_PARTICLE_VS = `#version 300 es
+layout(location = 0) in vec4 aSprite; // x, y, r, streak length (CSS px)
+layout(location = 1) in float aAlpha;
+uniform vec2 uRes;
+uniform int uStyle; // 0 dot, 1 glow, 2 streak
+out vec2 vUv; // -1…1 across the sprite
+out float vAlpha;
+void main() {
+  vec2 corner = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1)) * 2.0 - 1.0;
+  vec2 ext = uStyle == 1 ? vec2(aSprite.z * 4.0) : vec2(aSprite.z);
+  vec2 centre = aSprite.xy;
+  if (uStyle == 2) {
+    ext.y = aSprite.w * 0.5;
+    centre.y -= ext.y; // streak hangs above its head
+  }
+  vec2 p = centre + corner * ext;
+  gl_Position = vec4(p / uRes * 2.0 - 1.0, 0.0, 1.0) * vec4(1.0, -1.0, 1.0, 1.0);
+  vUv = corner;
+  vAlpha = aAlpha;
+}`;
+
+  const GL_PARTICLE_FS = `#version 300 es
+precision mediump float;
+uniform vec3 uColor;
+uniform int uStyle;
+in vec2 vUv;
+in float vAlpha;
+out vec4 outColor;
+void main() {
+  float d = length(vUv);
+  float a;
+  if (uStyle == 2) {
+    a = 1.0;
+  } else if (uStyle == 1) {
+    float core = 1.0 - smoothstep(0.2, 0.25, d); // r of a 4r sprite
+    a = max(core, 0.16 * (1.0 - d)); // faint halo like the 2D backend
+  } else {
+    a = 1.0 - smoothstep(0.8, 1.0, d);
+  }
+  a *= vAlpha;
+  outColor = vec4(uColor * a, a);
+}`;
+
+  const SKY_STOPS = [0.0, 0.08, 0.25, 0.5, 0.74, 1.0];
+  const FOG_STOPS = [0.0, 0.44, 0.56, 1.0];
+  /* Per-instance floats: x, z, trunkW, hueRng, lit, fade, species index,
+     flip, shift, trunk tone (dh, ds, dl, da) */
+  const TREE_FLOATS = 13;
+  const PART_FLOATS = 7; // per part-mesh vertex: u, s, species index, tone
+  const PARTICLE_FLOATS = 5; // x, y, r, len, alpha
+  const NO_TRUNK = { dh: 0, ds: 1, dl: 0, da: 0 }; // tone that hides the strip
+  const PARTICLE_STYLES = { dot: 0, glow: 1, streak: 2 };
+  /* Depth slices for interleaving: particles are drawn after the trees of
+     their slice, so ordering is exact between slices, not within one. */
+  const DEPTH_SLICES = 8;
+
+  function compileProgram(g2, vsSrc, fsSrc) {
+    const prog = g2.createProgram();
+    const shaders = [
+      [g2.VERTEX_SHADER, vsSrc],
+      [g2.FRAGMENT_SHADER, fsSrc],
+    ].map(function (pair) {
+      const sh = g2.createShader(pair[0]);
+      g2.shaderSource(sh, pair[1]);
+      g2.compileShader(sh);
+      if (!g2.getShaderParameter(sh, g2.COMPILE_STATUS)) {
+        throw new Error(g2.getShaderInfoLog(sh) || "shader compile failed");
+      }
+      g2.attachShader(prog, sh);
+      return sh;
+    });
+    g2.linkProgram(prog);
+    shaders.forEach(function (sh) {
+      g2.deleteShader(sh);
+    });
+    if (!g2.getProgramParameter(prog, g2.LINK_STATUS)) {
+      throw new Error(g2.getProgramInfoLog(prog) || "program link failed");
+    }
+    return prog;
+  }
+
+  function uniformLocations(g2, prog, names) {
+    const out = {};
+    for (let i = 0; i < names.length; i++) {
+      out[names[i]] = g2.getUniformLocation(prog, names[i]);
+    }
+    return out;
+  }
+
+  /** Per-instance tree attributes (0–3) of `vao`, read from `buf`. */
+  function bindTreeAttributes(g2, vao, buf) {
+    g2.bindVertexArray(vao);
+    g2.bindBuffer(g2.ARRAY_BUFFER, buf);
+    for (let loc = 0; loc < 4; loc++) {
+      g2.enableVertexAttribArray(loc);
+      g2.vertexAttribDivisor(loc, 1);
+    }
+    pointTreeAttributes(g2, 0);
+  }
+
+  /** Point the tree attributes at instance `from` of the bound buffer. */
+  function pointTreeAttributes(g2, from) {
+    const stride = TREE_FLOATS * 4;
+    const at = from * stride;
+    g2.vertexAttribPointer(0, 4, g2.FLOAT, false, stride, at);
+    g2.vertexAttribPointer(1, 2, g2.FLOAT, false, stride, at + 16);
+    g2.vertexAttribPointer(2, 3, g2.FLOAT, false, stride, at + 24);
+    g2.vertexAttribPointer(3, 4, g2.FLOAT, false, stride, at + 36);
+  }
+
+  /**
+   * Every species' parts as one triangle list, fanned from each polygon's
+   * vertex mean. Built from the registry as it is at setup.
+   */
+  function buildPartMesh() {
+    const out = [];
+    ForestCore.SPECIES_NAMES.forEach(function (name, index) {
+      const sp = ForestCore.SPECIES[name];
+      sp.parts.forEach(function (part) {
+        const p = part.points;
+        const tone = sp.tones[part.tone];
+        const n = p.length / 2;
+        let cu = 0;
+        let cs = 0;
+        for (let i = 0; i < n; i++) {
+          cu += p[i * 2] / n;
+          cs += p[i * 2 + 1] / n;
+        }
+        const vertex = function (u, s) {
+          out.push(u, s, index, tone.dh, tone.ds, tone.dl, tone.da);
+        };
+        for (let i = 0; i < n; i++) {
+          const j = (i + 1) % n;
+          vertex(cu, cs);
+          vertex(p[i * 2], p[i * 2 + 1]);
+          vertex(p[j * 2], p[j * 2 + 1]);
+        }
+      });
+    });
+    return new Float32Array(out);
+  }
+
+  /** Create programs and buffers (again after a lost context is restored). */
+  function setupWebGL2(g2, st) {
+    st.gradProg = compileProgram(g2, GL_GRADIENT_VS, GL_GRADIENT_FS);
+    st.treeProg = compileProgram(g2, GL_TREE_VS, GL_TREE_FS);
+    st.particleProg = compileProgram(g2, GL_PARTICLE_VS, GL_PARTICLE_FS);
+    st.gradU = uniformLocations(g2, st.gradProg, ["uStop", "uPos", "uCount"]);
+    st.treeU = uniformLocations(g2, st.treeProg, [
+      "uRes",
+      "uCam",
+      "uYaw",
+      "uSpan",
+      "uDepth",
+      "uFade",
+      "uHue",
+      "uQuant",
+      "uTree",
+      "uGlow",
+      "uParts",
+    ]);
+    st.particleU = uniformLocations(g2, st.particleProg, [
+      "uRes",
+      "uStyle",
+      "uColor",
+    ]);
+
+    st.emptyVao = g2.createVertexArray();
+    st.treeVao = g2.createVertexArray();
+    st.treeBuf = g2.createBuffer();
+    bindTreeAttributes(g2, st.treeVao, st.treeBuf);
+
+    /* Part mesh: the tree attributes again, plus the mesh per vertex */
+    const mesh = buildPartMesh();
+    st.partCount = mesh.length / PART_FLOATS;
+    st.partVao = g2.createVertexArray();
+    st.partBuf = g2.createBuffer();
+    bindTreeAttributes(g2, st.partVao, st.treeBuf);
+    g2.bindBuffer(g2.ARRAY_BUFFER, st.partBuf);
+    g2.bufferData(g2.ARRAY_BUFFER, mesh, g2.STATIC_DRAW);
+    g2.enableVertexAttribArray(4);
+    g2.vertexAttribPointer(4, 3, g2.FLOAT, false, PART_FLOATS * 4, 0);
+    g2.enableVertexAttribArray(5);
+    g2.vertexAttribPointer(5, 4, g2.FLOAT, false, PART_FLOATS * 4, 12);
+
+    st.particleVao = g2.createVertexArray();
+    st.particleBuf = g2.createBuffer();
+    g2.bindVertexArray(st.particleVao);
+    g2.bindBuffer(g2.ARRAY_BUFFER, st.particleBuf);
+    g2.enableVertexAttribArray(0);
+    g2.vertexAttribDivisor(0, 1);
+    g2.enableVertexAttribArray(1);
+    g2.vertexAttribDivisor(1, 1);
+    g2.bindVertexArray(null);
+
+    g2.enable(g2.BLEND);
+    g2.blendFunc(g2.ONE, g2.ONE_MINUS_SRC_ALPHA);
+  }
+
+  /**
+   * Compile everything on a throwaway 1×1 canvas first: once the real canvas
+   * hands out a WebGL2 context it can never give us a 2D one, so a driver
+   * that cannot run the shaders must be caught before that.
+   */
+  function probeWebGL2() {
+    try {
+      const probe =
+        typeof document === "undefined"
+          ? new OffscreenCanvas(1, 1)
+          : document.createElement("canvas");
+      const g2 = probe.getContext("webgl2");
+      if (!g2) return false;
+      compileProgram(g2, GL_GRADIENT_VS, GL_GRADIENT_FS);
+      compileProgram(g2, GL_TREE_VS, GL_TREE_FS);
+      compileProgram(g2, GL_PARTICLE_VS, GL_PARTICLE_FS);
+      const lose = g2.getExtension("WEBGL_lose_context");
+      if (lose) lose.loseContext();
+      return true;
+    } catch (err) {
+      console.warn("[bg] WebGL2 unavailable:", err.message || err);
+      return false;
+    }
+  }
+
+  /** WebGL2 renderer for `scene` on `canvas`, or null when unavailable. */
+  function createWebGL2Renderer(scene, canvas) {
+    if (!probeWebGL2()) return null;
+    const gl = canvas.getContext("webgl2", {
+      alpha: false,
+      antialias: true,
+      premultipliedAlpha: true,
+      powerPreference: "low-power",
+    });
+    if (!gl) return null;
+    const view = scene.view;
+    const st = {
+      gradProg: null,
+      treeProg: null,
+      gradU: null,
+      treeU: null,
+      particleProg: null,
+      particleU: null,
+      emptyVao: null,
+      treeVao: null,
+      treeBuf: null,
+      partVao: null,
+      partBuf: null,
+      partCount: 0, // vertices in the part mesh
+      particleVao: null,
+      particleBuf: null,
+      instances: new Float32Array(0),
+      sprites: new Float32Array(0),
+      treeEnds: new Int32Array(DEPTH_SLICES), // instance index ending each slice
+      spriteEnds: new Int32Array(DEPTH_SLICES),
+      stops: new Float32Array(24),
+    };
+
+    /** Upload one gradient's stops (premultiplied, alphas × alphaScale where
+     *  the colours have one) and draw it full-screen. */
+    function drawGradientGL(colors, positions, alphaScale) {
+      const stops = st.stops;
+      for (let i = 0; i < colors.length; i++) {
+        const c = colors[i];
+        const a = c.length > 3 ? Math.min(1, c[3] * alphaScale) : 1;
+        stops[i * 4] = (c[0] / 255) * a;
+        stops[i * 4 + 1] = (c[1] / 255) * a;
+        stops[i * 4 + 2] = (c[2] / 255) * a;
+        stops[i * 4 + 3] = a;
+      }
+      gl.uniform4fv(st.gradU.uStop, stops);
+      gl.uniform1fv(st.gradU.uPos, positions); // may be shorter than uPos[6]
+      gl.uniform1i(st.gradU.uCount, colors.length);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    /** First depth of slice `k` (slices run far → near). */
+    function sliceNear(k) {
+      return view.depthFar * (1 - (k + 1) / DEPTH_SLICES);
+    }
+
+    /** Pack the trees (outgoing forest first) into the instance buffer. */
+    function packTreeInstances() {
+      const retiring = scene.retiring;
+      const trees = scene.trees;
+      const n = retiring.length + trees.length;
+      if (st.instances.length < n * TREE_FLOATS) {
+        st.instances = new Float32Array(n * TREE_FLOATS);
+      }
+      const buf = st.instances;
+      let o = 0;
+      for (let pass = 0; pass < 2; pass++) {
+        const list = pass === 0 ? retiring : trees;
+        for (let i = 0, len = list.length; i < len; i++) {
+          const t = list[i];
+          buf[o++] = t.x;
+          buf[o++] = t.z;
+          buf[o++] = t.trunkW;
+          buf[o++] = t.hueRng;
+          buf[o++] = t.lit;
+          buf[o++] = t.colX > view.halfW ? 0 : t.fade;
+          buf[o++] = ForestCore.SPECIES_NAMES.indexOf(t.species);
+          buf[o++] = t.flip;
+          buf[o++] = t.shift;
+          const body = ForestCore.SPECIES[t.species].trunk || NO_TRUNK;
+          buf[o++] = body.dh;
+          buf[o++] = body.ds;
+          buf[o++] = body.dl;
+          buf[o++] = body.da;
+        }
+      }
+
+      /* Slice ends — the outgoing forest all goes into the first slice */
+      let k = 0;
+      for (let i = 0; i < trees.length; i++) {
+        while (k < DEPTH_SLICES - 1 && trees[i].z <= sliceNear(k)) {
+          st.treeEnds[k++] = retiring.length + i;
+        }
+      }
+      while (k < DEPTH_SLICES) st.treeEnds[k++] = n;
+      return n;
+    }
+
+    /** Project and pack the visible particles, far → near, by slice. */
+    function packParticleSprites() {
+      const particles = scene.particles;
+      if (st.sprites.length < particles.length * PARTICLE_FLOATS) {
+        st.sprites = new Float32Array(particles.length * PARTICLE_FLOATS);
+      }
+      const buf = st.sprites;
+      const q = {};
+      let n = 0;
+      let k = 0;
+      for (let i = 0; i < particles.length; i++) {
+        const p = particles[i];
+        while (k < DEPTH_SLICES - 1 && p.z <= sliceNear(k))
+          st.spriteEnds[k++] = n;
+        if (!scene.projectParticle(p, q)) continue;
+        let o = n++ * PARTICLE_FLOATS;
+        buf[o++] = q.x;
+        buf[o++] = q.y;
+        buf[o++] = q.r;
+        buf[o++] = q.len;
+        buf[o] = q.alpha;
+      }
+      while (k < DEPTH_SLICES) st.spriteEnds[k++] = n;
+      return n;
+    }
+
+    /**
+     * Draw tree instances [from, to), trunks then parts — attributes
+     * re-pointed at `from`. Expects the tree program, VAO and buffer bound.
+     */
+    function drawTreeRange(from, to) {
+      if (to <= from) return;
+      pointTreeAttributes(gl, from);
+      gl.uniform1i(st.treeU.uParts, 0);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, to - from);
+      if (!st.partCount) return;
+      gl.bindVertexArray(st.partVao);
+      pointTreeAttributes(gl, from);
+      gl.uniform1i(st.treeU.uParts, 1);
+      gl.drawArraysInstanced(gl.TRIANGLES, 0, st.partCount, to - from);
+      gl.bindVertexArray(st.treeVao);
+    }
+
+    function drawSpriteRange(from, to) {
+      if (to <= from) return;
+      const stride = PARTICLE_FLOATS * 4;
+      gl.vertexAttribPointer(0, 4, gl.FLOAT, false, stride, from * stride);
+      gl.vertexAttribPointer(1, 1, gl.FLOAT, false, stride, from * stride + 16);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, to - from);
+    }
+
+    const renderer = {
+      name: "webgl2",
+      canvas: canvas,
+      gl: gl,
+
+      resize() {
+        gl.viewport(0, 0, canvas.width, canvas.height);
+      },
+
+      rebuildColors() {
+        /* Theme values are uniforms, read every frame — nothing to rebuild */
+      },
+
+      draw() {
+        if (gl.isContextLost()) return;
+        const cur = scene.theme;
+
+        gl.useProgram(st.gradProg);
+        gl.bindVertexArray(st.emptyVao);
+        drawGradientGL(cur.sky, SKY_STOPS);
+
+        const n = packTreeInstances();
+        const np = packParticleSprites();
+        if (np) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, st.particleBuf);
+          gl.bufferData(
+            gl.ARRAY_BUFFER,
+            st.sprites.subarray(0, np * PARTICLE_FLOATS),
+            gl.DYNAMIC_DRAW,
+          );
+          const pu = st.particleU;
+          const c = view.particleColor;
+          gl.useProgram(st.particleProg);
+          gl.uniform2f(pu.uRes, view.w, view.h);
+          gl.uniform1i(pu.uStyle, PARTICLE_STYLES[view.particleStyle]);
+          gl.uniform3f(pu.uColor, c[0] / 255, c[1] / 255, c[2] / 255);
+        }
+        gl.useProgram(st.treeProg);
+        gl.bindVertexArray(st.treeVao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, st.treeBuf);
+        gl.bufferData(
+          gl.ARRAY_BUFFER,
+          st.instances.subarray(0, n * TREE_FLOATS),
+          gl.DYNAMIC_DRAW,
+        );
+        const u = st.treeU;
+        gl.uniform2f(u.uRes, view.w, view.h);
+        gl.uniform2f(u.uCam, view.camX, view.fov);
+        gl.uniform2f(u.uYaw, view.yawCos, view.yawSin);
+        gl.uniform2f(u.uSpan, view.topY, view.bottomY);
+        gl.uniform4f(
+          u.uDepth,
+          view.depthNear,
+          view.invDepthRange,
+          view.depthFar,
+          view.farFadeInv,
+        );
+        gl.uniform4f(
+          u.uFade,
+          view.nearFadeEndZ,
+          view.nearFadeInv,
+          view.invCenterFade,
+          view.vpDivisor,
+        );
+        gl.uniform2f(u.uHue, cur.treeHueMin, cur.treeHueMax);
+        gl.uniform1f(u.uQuant, ForestCore.DEPTH_QUANT - 1);
+        gl.uniform3f(u.uTree, cur.treeSat, cur.treeLightMin, cur.treeLightMax);
+        gl.uniform1f(u.uGlow, view.glow ? 1 : 0);
+        if (!np) {
+          drawTreeRange(0, n);
+        } else {
+          /* Uniforms stay with their program, so switching back and forth
+             per slice only re-binds the VAO and buffer */
+          let treeFrom = 0;
+          let spriteFrom = 0;
+          for (let k = 0; k < DEPTH_SLICES; k++) {
+            const treeTo = st.treeEnds[k];
+            const spriteTo = st.spriteEnds[k];
+            if (treeTo > treeFrom) {
+              gl.useProgram(st.treeProg);
+              gl.bindVertexArray(st.treeVao);
+              gl.bindBuffer(gl.ARRAY_BUFFER, st.treeBuf);
+              drawTreeRange(treeFrom, treeTo);
+            }
+            if (spriteTo > spriteFrom) {
+              gl.useProgram(st.particleProg);
+              gl.bindVertexArray(st.particleVao);
+              gl.bindBuffer(gl.ARRAY_BUFFER, st.particleBuf);
+              drawSpriteRange(spriteFrom, spriteTo);
+            }
+            treeFrom = treeTo;
+            spriteFrom = spriteTo;
+          }
+        }
+
+        gl.useProgram(st.gradProg);
+        gl.bindVertexArray(st.emptyVao);
+        drawGradientGL(cur.fog, FOG_STOPS, view.fog);
+      },
+    };
+
+    setupWebGL2(gl, st);
+    canvas.addEventListener("webglcontextlost", function (e) {
+      e.preventDefault(); // ask the browser to restore it
+    });
+    canvas.addEventListener("webglcontextrestored", function () {
+      setupWebGL2(gl, st);
+      renderer.resize();
+      scene.scheduleFrame();
+    });
+    return renderer;
+  }
+
+  return { create: createWebGL2Renderer };
+});
@@ -0,0 +1,236 @@
+/**
+ * Forest fly-through — software rasteriser.
+ * Paints the fills a recording context logged (forest-recorder.js) into an
+ * RGBA pixel buffer, for places without a canvas — build.js renders the
+ * link preview image with it:
+ *
+ *   const canvas = ForestRecorder.createCanvas();
+ *   scene.setRenderer(Forest2D.create(scene, canvas));
+ *   scene.resize(1200, 630, 1);
+ *   canvas.context.clear();
+ *   scene.stepTo(12000);
+ *   const rgba = ForestRaster.paint(canvas.context.log, 1200, 630);
+ *
+ * Covers what forest-2d.js draws: paths, circles and rectangles filled with
+ * CSS rgb() / hsl() strings or linear gradients, under globalAlpha and the
+ * transform in effect. Edges are anti-aliased (SUBSAMPLES rows per pixel,
+ * exact coverage along each row); gradients blend premultiplied, like the
+ * WebGL2 backend.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ForestRaster = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SUBSAMPLES = 4;
+  const ARC_SEGMENTS_MAX = 64;
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Colours                                                                 */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+    s /= 100;
+    l /= 100;
+    const a = s * Math.min(l, 1 - l);
+    const f = function (n) {
+      const k = (n + h / 30) % 12;
+      return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    };
+    return [f(0), f(8), f(4)];
+  }
+
+  /** [r, g, b, a] (0–255, alpha 0–1) for the colour strings the backend
+   *  writes: rgb(), rgba(), hsl() and hsla() with comma-separated numbers. */
+  function parseColor(value) {
+    const m = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(value.replace(/\s+/g, ""));
+    if (!m) throw new Error("unsupported colour: " + value);
+    const n = m[2].split(",").map(parseFloat);
+    const alpha = n.length > 3 ? n[3] : 1;
+    const rgb = m[1][0] === "h" ? hslToRgb(n[0], n[1], n[2]) : n.slice(0, 3);
+    return [rgb[0], rgb[1], rgb[2], alpha];
+  }
+
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /*  Paint                                                                   */
+  /* ═════════════════════════════════════════════════════════════════════════ */
+  /**
+   * Paint `log` (recording context entries, oldest first) over a
+   * transparent width × height image. Returns a Uint8ClampedArray of
+   * straight (not premultiplied) RGBA rows, top first.
+   */
+  function paint(log, width, height) {
+    const acc = new Float32Array(width * height * 4); // premultiplied, 0–1
+    const cover = new Float32Array(width); // one pixel row of coverage
+    const colors = new Map();
+
+    function color(value) {
+      let c = colors.get(value);
+      if (!c) {
+        const p = parseColor(value);
+        c = [
+          (p[0] / 255) * p[3],
+          (p[1] / 255) * p[3],
+          (p[2] / 255) * p[3],
+          p[3],
+        ];
+        colors.set(value, c);
+      }
+      return c;
+    }
+
+    /** A sampler (x, y) → premultiplied [r, g, b, a] for a fill style. */
+    function sampler(style, m) {
+      if (typeof style === "string") {
+        const c = color(style);
+        return function () {
+          return c;
+        };
+      }
+      /* Linear gradient: its end points through the transform */
+      const g = style.coords;
+      const x0 = m[0] * g[0] + m[2] * g[1] + m[4];
+      const y0 = m[1] * g[0] + m[3] * g[1] + m[5];
+      const dx = m[0] * g[2] + m[2] * g[3] + m[4] - x0;
+      const dy = m[1] * g[2] + m[3] * g[3] + m[5] - y0;
+      const len2 = dx * dx + dy * dy || 1;
+      const stops = style.stops.slice().sort(function (a, b) {
+        return a[0] - b[0];
+      });
+      const out = [0, 0, 0, 0];
+      return function (x, y) {
+        const t = ((x - x0) * dx + (y - y0) * dy) / len2;
+        let i = 0;
+        while (i < stops.length && stops[i][0] < t) i++;
+        if (i === 0 || i === stops.length) {
+          return color(stops[i === 0 ? 0 : stops.length - 1][1]);
+        }
+        const a = color(stops[i - 1][1]);
+        const b = color(stops[i][1]);
+        const span = stops[i][0] - stops[i - 1][0];
+        const k = span > 0 ? (t - stops[i - 1][0]) / span : 1;
+        for (let j = 0; j < 4; j++) out[j] = a[j] + (b[j] - a[j]) * k;
+        return out;
+      };
+    }
+
+    /** Add one span [xa, xb) of a sample row to the coverage row. */
+    function coverSpan(xa, xb, weight) {
+      const x0 = xa < 0 ? 0 : xa;
+      const x1 = xb > width ? width : xb;
+      if (x1 <= x0) return;
+      const i0 = Math.floor(x0);
+      const i1 = Math.floor(x1);
+      if (i0 === i1) {
+        cover[i0] += (x1 - x0) * weight;
+        return;
+      }
+      cover[i0] += (i0 + 1 - x0) * weight;
+      for (let i = i0 + 1; i < i1; i++) cover[i] += weight;
+      if (i1 < width) cover[i1] += (x1 - i1) * weight;
+    }
+
+    /** Fill polygon `pts` ([x, y] in pixels, even-odd) with `sample`. */
+    function fillPolygon(pts, sample, alpha) {
+      let minY = Infinity;
+      let maxY = -Infinity;
+      let minX = Infinity;
+      let maxX = -Infinity;
+      for (let i = 0; i < pts.length; i++) {
+        minY = Math.min(minY, pts[i][1]);
+        maxY = Math.max(maxY, pts[i][1]);
+        minX = Math.min(minX, pts[i][0]);
+        maxX = Math.max(maxX, pts[i][0]);
+      }
+      const rowFrom = Math.max(0, Math.floor(minY));
+      const rowTo = Math.min(height, Math.ceil(maxY));
+      const colFrom = Math.max(0, Math.floor(minX));
+      const colTo = Math.min(width, Math.ceil(maxX) + 1);
+      if (rowTo <= rowFrom || colTo <= colFrom) return;
+      const xs = [];
+
+      for (let row = rowFrom; row < rowTo; row++) {
+        for (let s = 0; s < SUBSAMPLES; s++) {
+          const y = row + (s + 0.5) / SUBSAMPLES;
+          xs.length = 0;
+          for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            const a = pts[j];
+            const b = pts[i];
+            if (a[1] <= y !== b[1] <= y) {
+              xs.push(a[0] + ((y - a[1]) / (b[1] - a[1])) * (b[0] - a[0]));
+            }
+          }
+          xs.sort(function (p, q) {
+            return p - q;
+          });
+          for (let k = 0; k + 1 < xs.length; k += 2) {
+            coverSpan(xs[k], xs[k + 1], 1 / SUBSAMPLES);
+          }
+        }
+
+        for (let col = colFrom; col < colTo; col++) {
+          const cov = cover[col];
+          if (cov <= 0) continue;
+          cover[col] = 0;
+          const c = sample(col + 0.5, row + 0.5);
+          const a = alpha * (cov > 1 ? 1 : cov);
+          const o = (row * width + col) * 4;
+          const keep = 1 - c[3] * a;
+          acc[o] = c[0] * a + acc[o] * keep;
+          acc[o + 1] = c[1] * a + acc[o + 1] * keep;
+          acc[o + 2] = c[2] * a + acc[o + 2] * keep;
+          acc[o + 3] = c[3] * a + acc[o + 3] * keep;
+        }
+      }
+    }
+
+    for (let i = 0; i < log.length; i++) {
+      const e = log[i];
+      const m = e.transform;
+      const sample = sampler(e.fillStyle, m);
+      const map = function (x, y) {
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+      };
+      let pts;
+      if (e.op === "fillRect") {
+        const r = e.rect;
+        pts = [
+          map(r[0], r[1]),
+          map(r[0] + r[2], r[1]),
+          map(r[0] + r[2], r[1] + r[3]),
+          map(r[0], r[1] + r[3]),
+        ];
+      } else if (e.arc) {
+        /* Full circles (particles): a polygon fine enough for the radius */
+        const a = e.arc;
+        const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        const n = Math.min(
+          ARC_SEGMENTS_MAX,
+          Math.max(12, Math.ceil(a[2] * scale * 2)),
+        );
+        pts = [];
+        for (let k = 0; k < n; k++) {
+          const t = a[3] + ((a[4] - a[3]) * k) / n;
+          pts.push(map(a[0] + a[2] * Math.cos(t), a[1] + a[2] * Math.sin(t)));
+        }
+      } else {
+        pts = e.path.map(function (p) {
+          return map(p[0], p[1]);
+        });
+      }
+      if (pts.length > 2) fillPolygon(pts, sample, e.alpha);
+    }
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let o = 0; o < acc.length; o += 4) {
+      const a = acc[o + 3];
+      const inv = a > 0 ? 255 / a : 0;
+      out[o] = acc[o] * inv;
+      out[o + 1] = acc[o + 1] * inv;
+      out[o + 2] = acc[o + 2] * inv;
+      out[o + 3] = a * 255;
+    }
+    return out;
+  }
+
+  return { paint: paint, parseColor: parseColor };
+});
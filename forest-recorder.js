@@ -0,0 +1,194 @@
+/**
+ * Forest fly-through — recording 2D context.
+ * A stand-in for CanvasRenderingContext2D that draws nothing and logs every
+ * fill instead: its path (or rectangle, or circle), fill style and alpha. Hand a
+ * recording canvas to forest-2d.js and the log is the frame, ready to be
+ * compared with a stored snapshot:
+ *
+ *   const scene = ForestCore.createScene({ seed: 42, paused: true });
+ *   const canvas = ForestRecorder.createCanvas();
+ *   scene.setRenderer(Forest2D.create(scene, canvas));
+ *   scene.resize(800, 600, 1);
+ *   canvas.context.clear();
+ *   scene.stepTo(12000);
+ *   const lines = canvas.context.format(2); // one string per fill
+ *
+ * Members the backend does not use are deliberately missing, so drawing code
+ * that starts using one fails loudly here rather than logging nothing.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ForestRecorder = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /** Gradient stand-in: remembers its geometry and colour stops. */
+  function RecordedGradient(kind, coords) {
+    this.kind = kind;
+    this.coords = coords;
+    this.stops = [];
+  }
+  RecordedGradient.prototype.addColorStop = function (offset, color) {
+    this.stops.push([offset, color]);
+  };
+
+  function round(v, digits) {
+    return Number(v.toFixed(digits));
+  }
+
+  function describeStyle(style, digits) {
+    if (typeof style === "string") return style;
+    return (
+      style.kind +
+      "(" +
+      style.coords
+        .map(function (v) {
+          return round(v, digits);
+        })
+        .join(",") +
+      ")[" +
+      style.stops
+        .map(function (s) {
+          return s[0] + " " + s[1];
+        })
+        .join(", ") +
+      "]"
+    );
+  }
+
+  function createContext() {
+    let path = [];
+    let transform = [1, 0, 0, 1, 0, 0];
+
+    const ctx = {
+      globalAlpha: 1,
+      fillStyle: "#000",
+      /**
+       * One entry per fill: { op: "fill", path: [[x, y], …], closed },
+       * { op: "fill", arc: [x, y, r, start, end] } or
+       * { op: "fillRect", rect: [x, y, w, h] }, each with fillStyle (string
+       * or gradient), alpha and the transform in effect.
+       */
+      log: [],
+
+      setTransform(a, b, c, d, e, f) {
+        transform = [a, b, c, d, e, f];
+      },
+      createLinearGradient(x0, y0, x1, y1) {
+        return new RecordedGradient("linear", [x0, y0, x1, y1]);
+      },
+      beginPath() {
+        path = [];
+      },
+      moveTo(x, y) {
+        path.push({ points: [[x, y]], closed: false });
+      },
+      lineTo(x, y) {
+        if (!path.length) path.push({ points: [], closed: false });
+        path[path.length - 1].points.push([x, y]);
+      },
+      closePath() {
+        if (path.length) path[path.length - 1].closed = true;
+      },
+      arc(x, y, r, start, end) {
+        path.push({ arc: [x, y, r, start, end] });
+      },
+      fill() {
+        for (let i = 0; i < path.length; i++) {
+          const entry = path[i].arc
+            ? { op: "fill", arc: path[i].arc }
+            : {
+                op: "fill",
+                path: path[i].points.slice(),
+                closed: path[i].closed,
+              };
+          entry.fillStyle = ctx.fillStyle;
+          entry.alpha = ctx.globalAlpha;
+          entry.transform = transform;
+          ctx.log.push(entry);
+        }
+      },
+      fillRect(x, y, w, h) {
+        ctx.log.push({
+          op: "fillRect",
+          rect: [x, y, w, h],
+          fillStyle: ctx.fillStyle,
+          alpha: ctx.globalAlpha,
+          transform: transform,
+        });
+      },
+
+      /** Forget everything logged so far. */
+      clear() {
+        ctx.log.length = 0;
+      },
+
+      /**
+       * The log as an array of lines, one per fill, numbers rounded to
+       * `digits` decimals (default 2) so snapshots survive float noise:
+       *   fill 0.31 hsl(190.2,58.0%,44.0%) M 401.2,-72 L … Z
+       *   fill 0.6 rgb(223,249,216) A 120.5,88,2.4 0,6.28
+       */
+      format(digits) {
+        if (digits === undefined) digits = 2;
+        return ctx.log.map(function (e) {
+          const head =
+            e.op +
+            " " +
+            round(e.alpha, digits) +
+            " " +
+            describeStyle(e.fillStyle, digits);
+          if (e.op === "fillRect") {
+            return (
+              head +
+              " " +
+              e.rect
+                .map(function (v) {
+                  return round(v, digits);
+                })
+                .join(",")
+            );
+          }
+          if (e.arc) {
+            const a = e.arc.map(function (v) {
+              return round(v, digits);
+            });
+            return (
+              head + " A " + a.slice(0, 3).join(",") + " " + a[3] + "," + a[4]
+            );
+          }
+          const pts = e.path.map(function (p, i) {
+            return (
+              (i ? "L " : "M ") +
+              round(p[0], digits) +
+              "," +
+              round(p[1], digits)
+            );
+          });
+          return head + " " + pts.join(" ") + (e.closed ? " Z" : "");
+        });
+      },
+    };
+    return ctx;
+  }
+
+  /**
+   * Canvas stand-in for the backends: getContext("2d") returns the
+   * recording context (also at .context), anything else null.
+   */
+  function createCanvas(width, height) {
+    const context = createContext();
+    return {
+      width: width || 300,
+      height: height || 150,
+      context: context,
+      getContext(type) {
+        return type === "2d" ? context : null;
+      },
+      addEventListener() {},
+    };
+  }
+
+  return {
+    createContext: createContext,
+    createCanvas: createCanvas,
+  };
+});
@@ -1,64 +1,1293 @@
-const COPY = {
-  title: "Hi there 👋",
-  description:
-    "I’m Anton. I’m a Senior Frontend Engineer in New York building React/Next.js products with a focus on design systems, performance (Core Web Vitals), accessibility, and reliable delivery. I enjoy turning messy problems into clean component architecture, fast pages, and tooling that helps teams ship confidently.",
-  links: [
-    { name: "LinkedIn", url: "https://www.linkedin.com/in/gunkin" },
-    { name: "Resume", url: "https://github.com/antongunkin/resume" },
-  ],
-  btnOpen: "Say 👋",
-  btnClose: "Close",
+/* ── Locales ────────────────────────────────────────────────────────
+   One bundle per language: UI strings, accessible labels for the static
+   markup (data-i18n-label in index.html) and the built-in content, used
+   when content.json is missing or has nothing for the language. Keys a
+   bundle leaves out fall back to English. */
+const DEFAULT_LOCALE = "en";
+const LOCALE_KEY = "lang";
+
+const LOCALES = {
+  en: {
+    lang: "en",
+    name: "English",
+    dir: "ltr",
+    sections: [
+      {
+        type: "about",
+        title: "Hi there 👋",
+        body: "I’m Anton. I’m a Senior Frontend Engineer in New York building React/Next.js products with a focus on design systems, performance (Core Web Vitals), accessibility, and reliable delivery. I enjoy turning messy problems into clean component architecture, fast pages, and tooling that helps teams ship confidently.",
+      },
+      {
+        type: "contact",
+        email: "hello@example.com",
+        links: [
+          { name: "LinkedIn", url: "https://www.linkedin.com/in/gunkin" },
+          { name: "Resume", url: "https://github.com/antongunkin/resume" },
+        ],
+      },
+    ],
+    btnOpen: "Say 👋",
+    btnClose: "Close",
+    btnShare: "Copy link to this forest",
+    shareDone: "Link copied",
+    shareFailed: "Couldn’t copy the link",
+    btnWallpaper: "Download as wallpaper",
+    wallpaperSize: "Wallpaper size",
+    wallpaperScreen: "This screen",
+    wallpaper4k: "4K landscape (3840 × 2160)",
+    wallpaperPhone: "Phone portrait (1170 × 2532)",
+    wallpaperRendering: "Rendering…",
+    wallpaperFailed: "Couldn’t render the wallpaper",
+    present: "present",
+    language: "Language",
+    themeToggle: "Color theme",
+    themeSystem: "System theme",
+    themeLight: "Light theme",
+    themeDark: "Dark theme",
+    themeClock: "Follow the time of day",
+    clockScrub: "Time of day",
+    contactOpen: "Write a message",
+    contactTitle: "Say hi",
+    contactName: "Name",
+    contactEmail: "Email",
+    contactMessage: "Message",
+    contactSend: "Send",
+    contactCancel: "Cancel",
+    contactRequired: "Please fill this in.",
+    contactEmailInvalid: "Please enter a valid email address.",
+    contactTooLong: "Please keep it under {max} characters.",
+    contactInvalid: "Please fix the highlighted fields.",
+    contactSending: "Sending…",
+    contactSent: "Thanks! Your message was sent.",
+    contactOpened: "Your email app should open with the message.",
+    contactFailed: "Couldn’t send the message. Please try again later.",
+    contactSubject: "Hi from {name}",
+    perfTitle: "Renderer statistics",
+    perfRecord: "Record",
+    perfStop: "Stop",
+    perfCsv: "CSV",
+    perfJson: "JSON",
+    perfClip: "Clip",
+    updateReady: "A new version of this page is ready.",
+    updateReload: "Refresh",
+    routeHome: "Back to the start",
+    routeProjects: "All projects",
+    notFoundTitle: "Page not found",
+    notFoundBody:
+      "Nothing lives at this address. The link may be mistyped, or the page may have moved.",
+    pageFailedTitle: "Couldn’t load this page",
+    pageFailedBody: "Check your connection and try again.",
+  },
 };
 
-function bg() {
-  var c = document.querySelector("canvas");
-
-  /* ── Colour parsing ─────────────────────────────────────────────── */
-  function parseHex(hex) {
-    hex = hex.replace(/^\s*#/, "");
-    return [
-      parseInt(hex.slice(0, 2), 16),
-      parseInt(hex.slice(2, 4), 16),
-      parseInt(hex.slice(4, 6), 16),
-    ];
+/* Pseudo-locale for RTL testing: the English strings with every word
+   mirrored right-to-left (Chromium uses the same tag for this). URLs,
+   dates and other machine-readable fields stay as they are. */
+const PSEUDO_KEEP = /^(lang|type|url|email|start|end|date|slug)$/;
+
+function pseudoBidi(value, key) {
+  if (typeof value === "string") {
+    if (PSEUDO_KEEP.test(key)) return value;
+    return value.replace(/\S+/g, function (word) {
+      return "\u202e" + word + "\u202c";
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (v) {
+      return pseudoBidi(v, key);
+    });
+  }
+  if (value && typeof value === "object") {
+    var out = {};
+    for (var k in value) out[k] = pseudoBidi(value[k], k);
+    return out;
   }
+  return value;
+}
 
-  function readTheme() {
-    var s = getComputedStyle(document.documentElement);
-    var v = function (name) {
-      return s.getPropertyValue(name).trim();
-    };
+LOCALES["ar-XB"] = Object.assign(pseudoBidi(LOCALES.en), {
+  lang: "ar-XB",
+  name: "RTL test (ar-XB)",
+  dir: "rtl",
+  pseudo: true,
+});
+
+for (const tag in LOCALES) {
+  LOCALES[tag] = Object.assign({}, LOCALES[DEFAULT_LOCALE], LOCALES[tag]);
+}
+
+/* Strings of the language in use — swapped by setLocale() in init() */
+let COPY = LOCALES[DEFAULT_LOCALE];
+
+/** First supported locale for a list of BCP 47 tags (exact, then base). */
+function pickLocale(tags) {
+  var known = Object.keys(LOCALES);
+  var lower = known.map(function (tag) {
+    return tag.toLowerCase();
+  });
+  for (var i = 0; i < tags.length; i++) {
+    var tag = String(tags[i]).toLowerCase();
+    var hit = lower.indexOf(tag);
+    if (hit < 0) hit = lower.indexOf(tag.split("-")[0]);
+    if (hit >= 0) return known[hit];
+  }
+  return null;
+}
+
+/* Theme preference: "system" follows the OS, "light" / "dark" are explicit,
+   "clock" follows the visitor's local time of day. An inline script in
+   index.html's <head> applies a stored "light" / "dark" before first paint,
+   so the key and those two values must stay as they are there. */
+const THEME_KEY = "theme";
+const THEME_PREFS = ["system", "light", "dark", "clock"];
+
+/* ── Colour parsing ─────────────────────────────────────────────────
+   Reading is ForestColor.parseColor (forest-color.js, the parser the
+   background uses), so a palette may use any CSS colour syntax. */
+
+/** [r, g, b, alpha] back to CSS: #rrggbb when opaque, rgb() otherwise. */
+function toCssColor(rgba) {
+  var rgb = rgba.slice(0, 3).map(Math.round);
+  if (rgba[3] < 1) {
+    return (
+      "rgb(" + rgb.join(" ") + " / " + Math.round(rgba[3] * 1000) / 1000 + ")"
+    );
+  }
+  return (
+    "#" +
+    rgb
+      .map(function (c) {
+        return (0x100 | c).toString(16).slice(1);
+      })
+      .join("")
+  );
+}
+
+/* ── Clock theme ────────────────────────────────────────────────────
+   The palettes are .palette-<name> classes in styles.css, each setting
+   the full set of sky / fog / tree variables; .season-<season> next to
+   one may override a few of them. Keyframes are in local hours and wrap
+   around midnight; between two of them the palette eases from one to the
+   next. The result is written as inline variables on <html>, so the
+   background picks it up the same way as a class change. */
+const CLOCK_KEYFRAMES = [
+  { at: 4.5, palette: "night" },
+  { at: 6, palette: "dawn" },
+  { at: 8, palette: "day" },
+  { at: 17.5, palette: "day" },
+  { at: 19.5, palette: "dusk" },
+  { at: 21, palette: "night" },
+];
+
+const CLOCK_VARS = [
+  "--sky-1",
+  "--sky-2",
+  "--sky-3",
+  "--sky-4",
+  "--sky-5",
+  "--sky-6",
+  "--fog-1",
+  "--fog-2",
+  "--fog-3",
+  "--fog-4",
+  "--fog-1-a",
+  "--fog-2-a",
+  "--fog-3-a",
+  "--fog-4-a",
+  "--tree-hue-min",
+  "--tree-hue-max",
+  "--tree-sat",
+  "--tree-light-min",
+  "--tree-light-max",
+  "--species-trunk",
+  "--species-pine",
+  "--species-birch",
+  "--species-bare",
+  "--species-bush",
+];
+
+/* The CLOCK_VARS that hold colours; the rest are numbers */
+const CLOCK_COLOR_VAR = /^--(sky|fog)-\d$/;
+
+/* Sky stops behind the page text, for picking light or dark text */
+const CLOCK_TEXT_SKY = ["--sky-2", "--sky-3", "--sky-4", "--sky-5"];
+
+/* Northern-hemisphere meteorological seasons, by month */
+const SEASONS = [
+  "winter",
+  "winter",
+  "spring",
+  "spring",
+  "spring",
+  "summer",
+  "summer",
+  "summer",
+  "autumn",
+  "autumn",
+  "autumn",
+  "winter",
+];
+
+var clockPalettes = {};
+
+/** The variables of one palette class, colours as [r, g, b, alpha], read
+    once. Values that do not parse are left out (and warned about). */
+function readPalette(name, season) {
+  var key = name + "/" + season;
+  if (clockPalettes[key]) return clockPalettes[key];
+  var probe = document.createElement("div");
+  probe.className = "palette-" + name + " season-" + season;
+  probe.hidden = true;
+  document.body.appendChild(probe);
+  var style = getComputedStyle(probe);
+  var palette = {};
+  CLOCK_VARS.forEach(function (prop) {
+    var value = style.getPropertyValue(prop).trim();
+    var parsed = CLOCK_COLOR_VAR.test(prop)
+      ? ForestColor.parseColor(value)
+      : parseFloat(value);
+    if (parsed === null || Number.isNaN(parsed)) {
+      console.warn("[clock] " + key + " " + prop + ": not usable", value);
+    } else {
+      palette[prop] = parsed;
+    }
+  });
+  probe.remove();
+  return (clockPalettes[key] = palette);
+}
+
+/** The keyframes around `hours` and how far (0–1, eased) it is between. */
+function clockSpan(hours) {
+  var n = CLOCK_KEYFRAMES.length;
+  var i = n - 1;
+  while (i >= 0 && CLOCK_KEYFRAMES[i].at > hours) i--;
+  var from = CLOCK_KEYFRAMES[(i + n) % n];
+  var to = CLOCK_KEYFRAMES[(i + 1) % n];
+  var span = (to.at - from.at + 24) % 24 || 24;
+  var t = (((hours - from.at + 24) % 24) / span) * Math.PI;
+  return { from: from, to: to, k: 0.5 - 0.5 * Math.cos(t) };
+}
+
+/** Name of the palette `hours` is closest to, e.g. "dusk". */
+function clockPaletteName(hours) {
+  var span = clockSpan(hours);
+  return span.k < 0.5 ? span.from.palette : span.to.palette;
+}
+
+/** Palette for `hours` (0–24, local) as CSS variable values. */
+function clockPalette(hours, season) {
+  var span = clockSpan(hours);
+  var k = span.k;
+  var a = readPalette(span.from.palette, season);
+  var b = readPalette(span.to.palette, season);
+  var out = {};
+  CLOCK_VARS.forEach(function (prop) {
+    var va = a[prop];
+    var vb = b[prop];
+    /* Missing on either side: the stylesheet's own value stays */
+    if (va === undefined || vb === undefined) return;
+    out[prop] = Array.isArray(va)
+      ? toCssColor(
+          va.map(function (c, j) {
+            return c + (vb[j] - c) * k;
+          }),
+        )
+      : String(Math.round((va + (vb - va) * k) * 1000) / 1000);
+  });
+  return out;
+}
+
+/** WCAG relative luminance of a CSS colour (alpha ignored), or null. */
+function luminance(color) {
+  var rgba = color && ForestColor.parseColor(color);
+  if (!rgba) return null;
+  var rgb = rgba.slice(0, 3).map(function (c) {
+    c /= 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+}
+
+/** True when white text reads better than black on this palette's sky. */
+function clockWantsDarkTheme(palette) {
+  var sum = 0;
+  var n = 0;
+  CLOCK_TEXT_SKY.forEach(function (prop) {
+    var stop = luminance(palette[prop]);
+    if (stop !== null) {
+      sum += stop;
+      n++;
+    }
+  });
+  if (!n) return false;
+  var l = sum / n;
+  /* Same contrast ratio against black and white at l ≈ 0.179 */
+  return (l + 0.05) / 0.05 < 1.05 / (l + 0.05);
+}
+
+/** "HH:MM" → hours, or null. */
+function parseClock(value) {
+  var m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return m ? +m[1] + m[2] / 60 : null;
+}
+
+/* ── Content model ──────────────────────────────────────────────────
+   content.json (next to index.html): { "sections": [ { "type", … } ] },
+   rendered in order. Fields per type, ! = required:
+
+     about       title!, body!                       (title is the page h1)
+     experience  title!, items! { role!, org!, start!, end, url, location,
+                                  summary }
+     projects    title!, items! { name!, description, tags, links, slug }
+     writing     title!, items! { title!, url!, venue, date, kind }
+     contact     title, body, email, links,          (email or links!)
+                 endpoint, transport
+
+   body / summary / description: a string or a list of paragraphs.
+   links: [{ name, url }]. URLs are http(s) or mailto, or a route of this
+   page ("#/notes/moss", see ROUTES). Dates: YYYY, YYYY-MM or YYYY-MM-DD;
+   a missing `end` means ongoing. A project with a `slug` (lowercase
+   letters, digits and dashes) gets a page at #/projects/<slug>. Anything
+   malformed is reported in the console and left out.
+
+   The contact dialog sends through `transport` ("mailto" or "post", see
+   CONTACT_TRANSPORTS); without one it POSTs to `endpoint` when there is
+   one and opens a mailto: composer addressed to `email` otherwise. With
+   neither there is no dialog, only the links.
+
+   Other languages: "translations": { "<tag>": { "sections": [ … ] } },
+   looked up by full tag, then base language. The pseudo-locale is derived
+   from the default sections.
+
+   "site": { name!, jobTitle, url } is for build.js alone: the page title,
+   social previews and the Person record are made from it and the
+   sections. */
+const CONTENT_URL = "content.json";
+
+const CONTENT_SITE = { name: "text!", jobTitle: "text", url: "url" };
+
+const CONTENT_SECTIONS = {
+  about: { title: "text!", body: "paragraphs!" },
+  experience: { title: "text!", items: "items!" },
+  projects: { title: "text!", items: "items!" },
+  writing: { title: "text!", items: "items!" },
+  contact: {
+    title: "text",
+    body: "paragraphs",
+    email: "email",
+    links: "links",
+    endpoint: "endpoint",
+    transport: "transport",
+  },
+};
+
+const CONTENT_ITEMS = {
+  experience: {
+    role: "text!",
+    org: "text!",
+    start: "date!",
+    end: "date",
+    url: "url",
+    location: "text",
+    summary: "paragraphs",
+  },
+  projects: {
+    name: "text!",
+    description: "paragraphs",
+    tags: "tags",
+    links: "links",
+    slug: "slug",
+  },
+  writing: {
+    title: "text!",
+    url: "url!",
+    venue: "text",
+    date: "date",
+    kind: "text",
+  },
+};
+
+function contentWarn(where, problem, value) {
+  if (arguments.length > 2)
+    console.warn("[content] " + where + ": " + problem, value);
+  else console.warn("[content] " + where + ": " + problem);
+}
+
+/** Absolute URL if it is http(s) or mailto, a #fragment (a route of this
+    page) as it is, otherwise undefined. */
+function safeUrl(value) {
+  if (typeof value !== "string") return undefined;
+  if (value[0] === "#") return value;
+  try {
+    var url = new URL(value, location.href);
+    return /^(https?|mailto):$/.test(url.protocol) ? url.href : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/* Field coercers: the cleaned value, or undefined when unusable */
+const CONTENT_FIELDS = {
+  text: function (v) {
+    return typeof v === "string" && v.trim() ? v.trim() : undefined;
+  },
+  paragraphs: function (v) {
+    var list = typeof v === "string" ? [v] : v;
+    if (!Array.isArray(list) || !list.length) return undefined;
+    for (var i = 0; i < list.length; i++) {
+      if (!CONTENT_FIELDS.text(list[i])) return undefined;
+    }
+    return list.map(function (p) {
+      return p.trim();
+    });
+  },
+  date: function (v) {
+    var ok =
+      typeof v === "string" &&
+      /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(v);
+    return ok ? v : undefined;
+  },
+  url: safeUrl,
+  endpoint: function (v) {
+    var url = safeUrl(v);
+    return url && /^https?:/.test(url) ? url : undefined;
+  },
+  slug: function (v) {
+    return typeof v === "string" && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(v)
+      ? v
+      : undefined;
+  },
+  transport: function (v) {
+    return CONTACT_TRANSPORTS.hasOwnProperty(v) ? v : undefined;
+  },
+  email: function (v) {
+    return typeof v === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)
+      ? v
+      : undefined;
+  },
+  tags: function (v) {
+    if (!Array.isArray(v)) return undefined;
+    return v.filter(CONTENT_FIELDS.text);
+  },
+  links: function (v, where) {
+    if (!Array.isArray(v)) return undefined;
+    var out = [];
+    v.forEach(function (link, i) {
+      var name = link && CONTENT_FIELDS.text(link.name);
+      var url = link && safeUrl(link.url);
+      if (name && url) out.push({ name: name, url: url });
+      else
+        contentWarn(
+          where + "[" + i + "]",
+          "needs a name and an http(s) or mailto url",
+          link,
+        );
+    });
+    return out;
+  },
+};
+
+/** Check `obj` against a field spec; the cleaned copy or null. */
+function checkFields(obj, spec, where) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    contentWarn(where, "not an object", obj);
+    return null;
+  }
+  var out = {};
+  for (var key in obj) {
+    if (!(key in spec) && key !== "type")
+      contentWarn(where, 'unknown field "' + key + '"');
+  }
+  for (var key in spec) {
+    var type = spec[key].replace("!", "");
+    var required = spec[key] !== type;
+    if (obj[key] === undefined || obj[key] === null) {
+      if (!required) continue;
+      contentWarn(where, "missing " + key);
+      return null;
+    }
+    if (type === "items") continue; // checked by the caller
+    var value = CONTENT_FIELDS[type](obj[key], where + "." + key);
+    if (value === undefined) {
+      contentWarn(where, "invalid " + key, obj[key]);
+      if (required) return null;
+      continue;
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/** One section, cleaned, or null when it cannot be rendered. */
+function checkSection(section, where) {
+  var type = section && section.type;
+  if (!CONTENT_SECTIONS.hasOwnProperty(type)) {
+    contentWarn(where, "unknown section type", type);
+    return null;
+  }
+  where += " (" + type + ")";
+  var out = checkFields(section, CONTENT_SECTIONS[type], where);
+  if (!out) return null;
+  out.type = type;
+
+  if (CONTENT_ITEMS[type]) {
+    if (!Array.isArray(section.items)) {
+      contentWarn(where, "items must be a list", section.items);
+      return null;
+    }
+    out.items = [];
+    section.items.forEach(function (item, i) {
+      var clean = checkFields(
+        item,
+        CONTENT_ITEMS[type],
+        where + ".items[" + i + "]",
+      );
+      if (clean) out.items.push(clean);
+    });
+    if (!out.items.length) {
+      contentWarn(where, "no usable items");
+      return null;
+    }
+  }
+  if (type === "contact" && !out.email && !(out.links && out.links.length)) {
+    contentWarn(where, "needs an email or links");
+    return null;
+  }
+  return out;
+}
+
+/** The usable sections of a content document (possibly none). */
+function checkContent(data) {
+  if (!data || !Array.isArray(data.sections)) {
+    contentWarn("content", "expected { sections: [...] }", data);
+    return [];
+  }
+  var out = [];
+  data.sections.forEach(function (section, i) {
+    var clean = checkSection(section, "sections[" + i + "]");
+    if (clean) out.push(clean);
+  });
+  return out;
+}
+
+var contentRequest = null;
+
+/** content.json, fetched once; null when it is missing or unreadable. */
+function fetchContent() {
+  if (!contentRequest) {
+    contentRequest = fetch(CONTENT_URL)
+      .then(function (res) {
+        if (!res.ok) throw new Error(res.status + " " + res.statusText);
+        return res.json();
+      })
+      .catch(function (err) {
+        console.warn(
+          "[content] " + CONTENT_URL + " unusable, using built-in copy:",
+          err.message || err,
+        );
+        return null;
+      });
+  }
+  return contentRequest;
+}
+
+/** Raw sections of `data` for `locale`, before checking. */
+function localizedSections(data, locale) {
+  if (LOCALES[locale].pseudo) return pseudoBidi(data.sections);
+  var translations = data.translations || {};
+  var hit = translations[locale] || translations[locale.split("-")[0]];
+  return hit && hit.sections ? hit.sections : data.sections;
+}
+
+/** Sections for `locale` from content.json, or its built-in ones. */
+function loadContent(locale) {
+  return fetchContent().then(function (data) {
+    var sections = data
+      ? checkContent({ sections: localizedSections(data, locale) })
+      : [];
+    if (sections.length) return sections;
+    if (data) console.warn("[content] nothing usable, using built-in copy");
+    return checkContent(LOCALES[locale]);
+  });
+}
+
+/* ── Contact transports ───────────────────────────────────────────
+   transport(message, contact) → Promise of "sent" or "opened". message is
+   { name, email, message }; contact is the checked contact section. */
+const CONTACT_TIMEOUT_MS = 15000;
+
+/** True when the contact section has somewhere to send a message to. */
+function contactReachable(contact) {
+  return !!(contact.email || contact.endpoint);
+}
+
+const CONTACT_TRANSPORTS = {
+  /* Hand the message to the visitor's mail app */
+  mailto: function (message, contact) {
+    if (!contact.email) return Promise.reject(new Error("no email"));
+    location.href =
+      "mailto:" +
+      encodeURIComponent(contact.email || "") +
+      "?subject=" +
+      encodeURIComponent(COPY.contactSubject.replace("{name}", message.name)) +
+      "&body=" +
+      encodeURIComponent(
+        message.message + "\n\n— " + message.name + " <" + message.email + ">",
+      );
+    return Promise.resolve("opened");
+  },
+
+  /* JSON POST; any 2xx answer counts as delivered */
+  post: function (message, contact) {
+    if (!contact.endpoint) return Promise.reject(new Error("no endpoint"));
+    var abort =
+      typeof AbortController === "function" ? new AbortController() : null;
+    var timer = setTimeout(function () {
+      if (abort) abort.abort();
+    }, CONTACT_TIMEOUT_MS);
+    return fetch(contact.endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(message),
+      signal: abort ? abort.signal : undefined,
+    }).then(
+      function (res) {
+        clearTimeout(timer);
+        if (!res.ok) throw new Error(res.status + " " + res.statusText);
+        return "sent";
+      },
+      function (err) {
+        clearTimeout(timer);
+        throw err;
+      },
+    );
+  },
+};
+
+/* ── Content rendering ──────────────────────────────────────────── */
+function el(tag, className, text) {
+  var node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function linkEl(item) {
+  var a = el("a", "", item.name);
+  a.href = item.url;
+  if (!/^(mailto:|#)/.test(item.url)) a.target = "_blank";
+  return a;
+}
+
+function appendParagraphs(parent, paragraphs, className) {
+  (paragraphs || []).forEach(function (text) {
+    parent.appendChild(el("p", className, text));
+  });
+}
+
+function appendTags(parent, tags) {
+  if (!tags || !tags.length) return;
+  var list = el("ul", "tags");
+  tags.forEach(function (tag) {
+    list.appendChild(el("li", "", tag));
+  });
+  parent.appendChild(list);
+}
+
+function appendLinks(parent, links) {
+  if (!links || !links.length) return;
+  var div = el("div", "links");
+  links.forEach(function (item) {
+    div.appendChild(linkEl(item));
+  });
+  parent.appendChild(div);
+}
+
+/** <time> for a YYYY[-MM[-DD]] date, shown as precisely as it is given. */
+function timeEl(value) {
+  var parts = value.split("-").map(Number);
+  var opts = { year: "numeric", timeZone: "UTC" };
+  if (parts[1]) opts.month = "short";
+  if (parts[2]) opts.day = "numeric";
+  var date = new Date(Date.UTC(parts[0], (parts[1] || 1) - 1, parts[2] || 1));
+  var t = el(
+    "time",
+    "",
+    date.toLocaleDateString(document.documentElement.lang || undefined, opts),
+  );
+  t.dateTime = value;
+  return t;
+}
+
+const CONTENT_RENDERERS = {
+  experience: function (item) {
+    var li = el("li");
+    var role = el("h3", "", item.role + " · ");
+    role.appendChild(
+      item.url
+        ? linkEl({ name: item.org, url: item.url })
+        : document.createTextNode(item.org),
+    );
+    li.appendChild(role);
+    var meta = el("p", "meta");
+    meta.appendChild(timeEl(item.start));
+    meta.appendChild(document.createTextNode(" – "));
+    meta.appendChild(
+      item.end ? timeEl(item.end) : document.createTextNode(COPY.present),
+    );
+    if (item.location)
+      meta.appendChild(document.createTextNode(" · " + item.location));
+    li.appendChild(meta);
+    appendParagraphs(li, item.summary);
+    return li;
+  },
+
+  projects: function (item) {
+    var li = el("li");
+    var article = el("article");
+    var name = el("h3");
+    name.appendChild(
+      item.slug
+        ? linkEl({ name: item.name, url: "#/projects/" + item.slug })
+        : document.createTextNode(item.name),
+    );
+    article.appendChild(name);
+    appendParagraphs(article, item.description);
+    appendTags(article, item.tags);
+    appendLinks(article, item.links);
+    li.appendChild(article);
+    return li;
+  },
+
+  writing: function (item) {
+    var li = el("li");
+    li.appendChild(linkEl({ name: item.title, url: item.url }));
+    var meta = [item.kind, item.venue].filter(Boolean).join(", ");
+    if (meta || item.date) {
+      var p = el("p", "meta", meta);
+      if (item.date) {
+        if (meta) p.appendChild(document.createTextNode(" · "));
+        p.appendChild(timeEl(item.date));
+      }
+      li.appendChild(p);
+    }
+    return li;
+  },
+};
+
+/** Semantic markup for one checked section. */
+function renderSection(section, index) {
+  var node = el("section", "section section--" + section.type);
+  if (section.title) {
+    var heading = el(section.type === "about" ? "h1" : "h2", "", section.title);
+    heading.id = "section-" + index;
+    node.setAttribute("aria-labelledby", heading.id);
+    node.appendChild(heading);
+  }
+  appendParagraphs(node, section.body);
+
+  if (section.items) {
+    var list = el(
+      section.type === "experience" ? "ol" : "ul",
+      "items items--" + section.type,
+    );
+    section.items.forEach(function (item) {
+      list.appendChild(CONTENT_RENDERERS[section.type](item));
+    });
+    node.appendChild(list);
+  }
+
+  var links = section.links || [];
+  if (section.email) {
+    links = [{ name: section.email, url: "mailto:" + section.email }].concat(
+      links,
+    );
+  }
+  appendLinks(node, links);
+  return node;
+}
+
+/* ── Markdown ───────────────────────────────────────────────────────
+   Just enough for the pages under pages/: # headings, paragraphs, - / *
+   and 1. lists, > quotes, ``` code blocks, --- rules, and inline `code`,
+   **strong**, *em* / _em_ and [links](url). Built as DOM nodes, never as
+   HTML, so a page cannot inject markup; a link whose URL safeUrl rejects
+   stays plain text. The page's own h1 is its title, so # and ## both
+   render as h2. */
+const MD_INLINE =
+  /\\([\\`*_[\]()#+.!-])|`([^`]+)`|\*\*(.+?)\*\*|\*(\S.*?)\*|\b_(.+?)_\b|\[([^\]]+)\]\(([^)\s]+)\)/;
+const MD_LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+/;
+
+function appendInline(parent, text) {
+  var m;
+  while ((m = MD_INLINE.exec(text))) {
+    if (m.index) {
+      parent.appendChild(document.createTextNode(text.slice(0, m.index)));
+    }
+    if (m[1]) {
+      parent.appendChild(document.createTextNode(m[1]));
+    } else if (m[2]) {
+      parent.appendChild(el("code", "", m[2]));
+    } else if (m[6]) {
+      var url = safeUrl(m[7]);
+      var link = url ? linkEl({ name: "", url: url }) : parent;
+      appendInline(link, m[6]);
+      if (link !== parent) parent.appendChild(link);
+    } else {
+      var span = el(m[3] ? "strong" : "em");
+      appendInline(span, m[3] || m[4] || m[5]);
+      parent.appendChild(span);
+    }
+    text = text.slice(m.index + m[0].length);
+  }
+  if (text) parent.appendChild(document.createTextNode(text));
+}
+
+/** Append the blocks of Markdown `text` to `parent`. */
+function appendMarkdown(parent, text) {
+  var lines = text.replace(/\r\n?/g, "\n").split("\n");
+  var para = []; // lines of the paragraph being read
+  var i = 0;
+  var m;
+
+  function endParagraph() {
+    if (!para.length) return;
+    var p = el("p");
+    appendInline(p, para.join(" "));
+    parent.appendChild(p);
+    para = [];
+  }
+
+  while (i < lines.length) {
+    var line = lines[i];
+    if (/^```/.test(line)) {
+      endParagraph();
+      var code = [];
+      while (++i < lines.length && !/^```/.test(lines[i])) code.push(lines[i]);
+      var pre = el("pre");
+      pre.appendChild(el("code", "", code.join("\n")));
+      parent.appendChild(pre);
+      i++; // the closing fence
+    } else if ((m = /^(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line))) {
+      endParagraph();
+      var heading = el("h" + Math.max(2, m[1].length));
+      appendInline(heading, m[2]);
+      parent.appendChild(heading);
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      endParagraph();
+      parent.appendChild(el("hr"));
+      i++;
+    } else if (/^>/.test(line)) {
+      endParagraph();
+      var quoted = [];
+      while (i < lines.length && /^>/.test(lines[i])) {
+        quoted.push(lines[i++].replace(/^>\s?/, ""));
+      }
+      var quote = el("blockquote");
+      appendMarkdown(quote, quoted.join("\n"));
+      parent.appendChild(quote);
+    } else if ((m = MD_LIST_ITEM.exec(line))) {
+      endParagraph();
+      var ordered = /\d/.test(m[1]);
+      var list = el(ordered ? "ol" : "ul");
+      while (
+        i < lines.length &&
+        (m = MD_LIST_ITEM.exec(lines[i])) &&
+        /\d/.test(m[1]) === ordered
+      ) {
+        /* Indented lines after an item continue it */
+        var item = lines[i++].slice(m[0].length);
+        while (
+          i < lines.length &&
+          /^\s+\S/.test(lines[i]) &&
+          !MD_LIST_ITEM.test(lines[i])
+        ) {
+          item += " " + lines[i++].trim();
+        }
+        var li = el("li");
+        appendInline(li, item);
+        list.appendChild(li);
+      }
+      parent.appendChild(list);
+    } else {
+      if (line.trim()) para.push(line.trim());
+      else endParagraph();
+      i++;
+    }
+  }
+  endParagraph();
+}
+
+/* ── Routes ─────────────────────────────────────────────────────────
+   Sub-pages live in the hash, so any static host serves them:
+
+     #/                 the start page (so are no hash and #seed=…)
+     #/projects         the projects of every projects section
+     #/projects/<slug>  one project: its content.json entry, and
+                        pages/projects/<slug>.md when there is one
+     #/notes/<slug>     pages/notes/<slug>.md, titled by its first line
+                        when that is a # heading
+
+   Anything else under #/ is a 404. A query after the path carries the
+   forest's seed (#/notes/moss?seed=…&t=…). How the camera moves on each
+   route is up to camera.json ("route/<view>", see bg()). */
+const PAGES_URL = "pages/";
+
+const ROUTES = [
+  { view: "home", pattern: /^\/?$/ },
+  { view: "projects", pattern: /^\/projects\/?$/ },
+  { view: "project", pattern: /^\/projects\/([a-z0-9-]+)\/?$/ },
+  { view: "note", pattern: /^\/notes\/([a-z0-9-]+)\/?$/ },
+];
+
+/** { path, query } of a location hash; only #/… hashes have a path. */
+function hashParts(hash) {
+  var text = hash.replace(/^#/, "");
+  if (text[0] !== "/") return { path: "", query: text };
+  var q = text.indexOf("?");
+  if (q < 0) return { path: text, query: "" };
+  return { path: text.slice(0, q), query: text.slice(q + 1) };
+}
+
+/** The route of a location hash: { view, path, slug }. */
+function parseRoute(hash) {
+  var path = hashParts(hash).path || "/";
+  for (var i = 0; i < ROUTES.length; i++) {
+    var m = ROUTES[i].pattern.exec(path);
+    if (m) {
+      return { view: ROUTES[i].view, path: path, slug: m[1] };
+    }
+  }
+  return { view: "notFound", path: path };
+}
+
+/** Resolves to a URL that reopens `forest` (the <forest-background>) as
+    it is now: its seed and time in the hash, after the route. */
+function forestLink(forest) {
+  return customElements
+    .whenDefined("forest-background")
+    .then(function () {
+      return forest.getState();
+    })
+    .then(function (state) {
+      var url = new URL(location.href);
+      url.searchParams.delete("seed");
+      url.searchParams.delete("t");
+      var path = hashParts(location.hash).path;
+      url.hash =
+        (path ? path + "?" : "") +
+        "seed=" +
+        ("0000000" + state.seed.toString(16)).slice(-8) +
+        "&t=" +
+        state.time;
+      return url.href;
+    });
+}
+
+/** Markdown of pages/<kind>/<slug>.md, or null when there is none. */
+function fetchPage(kind, slug) {
+  return fetch(PAGES_URL + kind + "/" + slug + ".md").then(function (res) {
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(res.status + " " + res.statusText);
+    return res.text();
+  });
+}
+
+/* ── Pages ──────────────────────────────────────────────────────── */
+const PAGE_TITLE_ID = "page-title";
+
+/** <article> for a page, headed by a link back up and its h1. */
+function pageEl(type, back, title) {
+  var page = el("article", "page page--" + type);
+  page.setAttribute("aria-labelledby", PAGE_TITLE_ID);
+  var nav = el("p", "page__back");
+  nav.appendChild(linkEl(back));
+  page.appendChild(nav);
+  var h1 = el("h1");
+  h1.id = PAGE_TITLE_ID;
+  if (typeof title === "string") h1.textContent = title;
+  else title(h1);
+  page.appendChild(h1);
+  return page;
+}
+
+function messagePage(type, title, body) {
+  var page = pageEl(type, { name: COPY.routeHome, url: "#/" }, title);
+  page.appendChild(el("p", "", body));
+  return page;
+}
+
+function projectList(sections) {
+  return sections.reduce(function (list, section) {
+    return section.type === "projects" ? list.concat(section.items) : list;
+  }, []);
+}
+
+/* view(route, sections) → the page, or a Promise of it; null is a 404.
+   The start page ("home") is the sections themselves. */
+const PAGE_VIEWS = {
+  projects: function (route, sections) {
+    var first = sections.find(function (s) {
+      return s.type === "projects";
+    });
+    if (!first) return null;
+    var page = pageEl(
+      "projects",
+      { name: COPY.routeHome, url: "#/" },
+      first.title,
+    );
+    var list = el("ul", "items items--projects");
+    projectList(sections).forEach(function (item) {
+      list.appendChild(CONTENT_RENDERERS.projects(item));
+    });
+    page.appendChild(list);
+    return page;
+  },
+
+  project: function (route, sections) {
+    var item = projectList(sections).find(function (p) {
+      return p.slug === route.slug;
+    });
+    if (!item) return null;
+    return fetchPage("projects", route.slug).then(function (text) {
+      var page = pageEl(
+        "project",
+        { name: COPY.routeProjects, url: "#/projects" },
+        item.name,
+      );
+      appendTags(page, item.tags);
+      appendParagraphs(page, item.description);
+      if (text) appendMarkdown(page, text);
+      appendLinks(page, item.links);
+      return page;
+    });
+  },
+
+  note: function (route) {
+    return fetchPage("notes", route.slug).then(function (text) {
+      if (text === null) return null;
+      var m = /^\s*#\s+(.*?)(\s+#+)?[ \t]*(\n|$)/.exec(text);
+      var page = pageEl(
+        "note",
+        { name: COPY.routeHome, url: "#/" },
+        function (h1) {
+          appendInline(h1, m ? m[1] : route.slug);
+        },
+      );
+      appendMarkdown(page, m ? text.slice(m[0].length) : text);
+      return page;
+    });
+  },
+
+  notFound: function () {
+    return null;
+  },
+};
+
+/** The page for `route` (a Promise); undefined for the start page. */
+function renderPage(route, sections) {
+  if (!PAGE_VIEWS.hasOwnProperty(route.view)) return Promise.resolve();
+  return Promise.resolve(PAGE_VIEWS[route.view](route, sections)).then(
+    function (page) {
+      return (
+        page || messagePage("not-found", COPY.notFoundTitle, COPY.notFoundBody)
+      );
+    },
+    function (err) {
+      console.warn("[route] " + route.path + ":", err.message || err);
+      return messagePage("failed", COPY.pageFailedTitle, COPY.pageFailedBody);
+    },
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Performance overlay                                                       */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/* Text for one "stats" event of <forest-background> (see takeStats in
+   forest-core.js): one second of frames */
+function formatStats(s) {
+  function spread(p) {
+    return "p50 " + p.p50 + "  p95 " + p.p95 + "  p99 " + p.p99 + " ms";
+  }
+  var c = s.culled;
+  /* WebGL2 draws every tree and culls in the vertex shader */
+  var trees =
+    s.renderer === "webgl2"
+      ? ["trees  " + s.trees + " instanced, culled on the GPU"]
+      : [
+          "trees  " + s.drawn + " drawn of " + s.trees,
+          "culled " + c.tier + " tier, " + c.depth + " depth,",
+          "       " + c.faint + " faint, " + c.offscreen + " off-screen",
+        ];
+  return [
+    [s.renderer, "tier " + s.tier, "dpr " + s.dpr, s.frames + " fps"].join(
+      " · ",
+    ),
+    "frame  " + spread(s.interval),
+    "work   " + spread(s.cost),
+  ]
+    .concat(trees, [
+      "sort   " + s.treeMoves + " tree, " + s.particleMoves + " particle moves",
+      "colour " + s.colorRebuilds + " rebuilds · " + s.particles + " particles",
+    ])
+    .join("\n");
+}
+
+/* { cost: { p50 } } → { cost_p50 }, the CSV columns */
+function flattenStats(obj, prefix, out) {
+  out = out || {};
+  for (var key in obj) {
+    var name = prefix ? prefix + "_" + key : key;
+    if (obj[key] && typeof obj[key] === "object") {
+      flattenStats(obj[key], name, out);
+    } else {
+      out[name] = obj[key];
+    }
+  }
+  return out;
+}
+
+function statsToCsv(samples) {
+  var rows = samples.map(function (sample) {
+    return flattenStats(sample);
+  });
+  var columns = Object.keys(rows[0]);
+  return (
+    [columns.join(",")]
+      .concat(
+        rows.map(function (row) {
+          return columns
+            .map(function (name) {
+              return row[name] === null ? "" : row[name];
+            })
+            .join(",");
+        }),
+      )
+      .join("\n") + "\n"
+  );
+}
+
+function downloadText(filename, type, text) {
+  downloadBlob(filename, new Blob([text], { type: type }));
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Wallpaper export                                                          */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/* Sizes offered next to the share link, in device pixels; "screen" is this
+   screen at its pixel ratio, in its current orientation */
+const WALLPAPER_SIZES = [
+  { value: "screen", label: "wallpaperScreen" },
+  { value: "3840x2160", label: "wallpaper4k" },
+  { value: "1170x2532", label: "wallpaperPhone" },
+];
+const WALLPAPER_MAX_PX = 8192; // what <forest-background> draws at most
+/* The statistics overlay's clip: one camera sweep, inside the worker's
+   pixel budget for the default 30 s sweep */
+const PERF_CLIP = { width: 640, height: 360, fps: 24 };
+
+/** { width, height } of a WALLPAPER_SIZES value. */
+function wallpaperSize(value) {
+  if (value === "screen") {
+    var dpr = window.devicePixelRatio || 1;
     return {
-      sky: [
-        parseHex(v("--sky-1")),
-        parseHex(v("--sky-2")),
-        parseHex(v("--sky-3")),
-        parseHex(v("--sky-4")),
-        parseHex(v("--sky-5")),
-        parseHex(v("--sky-6")),
-      ],
-      fog: [
-        parseHex(v("--fog-1")).concat(parseFloat(v("--fog-1-a"))),
-        parseHex(v("--fog-2")).concat(parseFloat(v("--fog-2-a"))),
-        parseHex(v("--fog-3")).concat(parseFloat(v("--fog-3-a"))),
-        parseHex(v("--fog-4")).concat(parseFloat(v("--fog-4-a"))),
-      ],
-      treeHueMin: parseFloat(v("--tree-hue-min")),
-      treeHueMax: parseFloat(v("--tree-hue-max")),
-      treeSat: parseFloat(v("--tree-sat")),
-      treeLightMin: parseFloat(v("--tree-light-min")),
-      treeLightMax: parseFloat(v("--tree-light-max")),
+      width: Math.min(WALLPAPER_MAX_PX, Math.round(screen.width * dpr)),
+      height: Math.min(WALLPAPER_MAX_PX, Math.round(screen.height * dpr)),
     };
   }
+  var wh = value.split("x");
+  return { width: +wh[0], height: +wh[1] };
+}
 
-  /* ── Theme change detection ────────────────────────────────────── */
-  var sendTheme;
+/* How long a download's object URL stays valid: the click only starts the
+   download, and some browsers read the blob well after it returns */
+const DOWNLOAD_REVOKE_MS = 60000;
 
-  function onThemeChange() {
-    if (sendTheme) sendTheme(readTheme());
+function downloadBlob(filename, blob) {
+  var a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(function () {
+    URL.revokeObjectURL(a.href);
+  }, DOWNLOAD_REVOKE_MS);
+}
+
+/* A ustar archive of [{ name, blob }] (ASCII names under 100 characters),
+   as one Blob: the files go in as they are, only the 512-byte headers are
+   written here */
+function tarBlob(files) {
+  var parts = [];
+  var mtime = Math.floor(Date.now() / 1000);
+
+  function octal(n, width) {
+    return ("00000000000" + n.toString(8)).slice(1 - width) + "\0";
+  }
+
+  files.forEach(function (file) {
+    var header = new Uint8Array(512);
+    var fields = [
+      [0, file.name],
+      [100, octal(420, 8)], // mode 0644
+      [108, octal(0, 8)], // uid
+      [116, octal(0, 8)], // gid
+      [124, octal(file.blob.size, 12)],
+      [136, octal(mtime, 12)],
+      [148, "        "], // checksum, counted as spaces
+      [156, "0"], // regular file
+      [257, "ustar\0" + "00"],
+    ];
+    fields.forEach(function (f) {
+      for (var i = 0; i < f[1].length; i++) {
+        header[f[0] + i] = f[1].charCodeAt(i);
+      }
+    });
+    var sum = 0;
+    for (var i = 0; i < 512; i++) sum += header[i];
+    var check = octal(sum, 7) + " ";
+    for (var j = 0; j < 8; j++) header[148 + j] = check.charCodeAt(j);
+    parts.push(header, file.blob, new Uint8Array(-file.blob.size & 511));
+  });
+  parts.push(new Uint8Array(1024)); // two empty blocks end the archive
+  return new Blob(parts, { type: "application/x-tar" });
+}
+
+/* Keyframe timelines for the forest's camera, see bg() */
+const CAMERA_URL = "camera.json";
+
+function bg() {
+  /* <forest-background> (forest-background.js) runs the scene; this wires
+     it to the rest of the page. Its script is deferred, so the element is
+     upgraded after this has run: the start values go in as attributes,
+     everything later through its methods once it is defined. */
+  var forest = document.querySelector("forest-background");
+  var defined = customElements.whenDefined("forest-background");
+
+  function withForest(fn) {
+    defined.then(function () {
+      fn(forest);
+    });
   }
 
-  window.updateBgTheme = onThemeChange;
+  /* The element recovers on its own (main thread, then a still sky);
+     say why, so a blank or frozen background can be traced */
+  forest.addEventListener("error", function (e) {
+    console.warn(
+      "[bg] " + e.detail.reason + ": " + e.detail.message,
+      e.detail.fallback ? "— falling back to " + e.detail.fallback : "",
+    );
+  });
+
+  /* ── Theme change detection ────────────────────────────────────── */
+  function onThemeChange() {
+    withForest(function (f) {
+      f.refreshTheme();
+    });
+  }
 
   var observer = new MutationObserver(onThemeChange);
   observer.observe(document.documentElement, {
@@ -66,51 +1295,467 @@ function bg() {
     attributeFilter: ["style", "class"],
   });
 
-  /* ── Worker or fallback ────────────────────────────────────────── */
-  if (typeof c.transferControlToOffscreen === "function") {
-    /* ── Worker path ───────────────────────────────────────────── */
-    var oc = c.transferControlToOffscreen();
-    var w = new Worker("bg-worker.js");
+  /* ── Reduced motion: no parallax (the element slows the scene) ─── */
+  var motionMq = window.matchMedia("(prefers-reduced-motion: reduce)");
 
-    w.postMessage(
-      {
-        type: "init",
-        canvas: oc,
-        w: innerWidth,
-        h: innerHeight,
-        dpr: 1,
-        theme: readTheme(),
+  motionMq.addEventListener("change", function (e) {
+    if (e.matches) stopParallax();
+    else startParallax();
+  });
+
+  /* ── Pointer / tilt parallax ───────────────────────────────────── */
+  /* Mouse position (desktop) or left-right tilt (mobile) as x in [-1, 1],
+     sent at most every INPUT_INTERVAL ms. Off under reduced motion. */
+  var INPUT_INTERVAL = 50;
+  var TILT_RANGE = 25; // degrees of tilt for full deflection
+  var inputX = 0;
+  var inputTimer = 0;
+  var tiltRest = null; // slowly follows the resting tilt of the device
+
+  function queueInput(x) {
+    inputX = x < -1 ? -1 : x > 1 ? 1 : x;
+    if (inputTimer) return;
+    inputTimer = setTimeout(function () {
+      inputTimer = 0;
+      if (forest.setInput) forest.setInput(inputX); // once defined
+    }, INPUT_INTERVAL);
+  }
+
+  function onPointerMove(e) {
+    if (e.pointerType === "touch") return; // touch scrolls, it doesn't steer
+    queueInput((e.clientX / innerWidth) * 2 - 1);
+  }
+
+  function onOrientation(e) {
+    if (e.gamma === null || e.beta === null) return;
+    var angle = screen.orientation ? screen.orientation.angle : 0;
+    var tilt = e.gamma; // portrait: left-right tilt
+    if (angle === 90) tilt = e.beta;
+    else if (angle === 270) tilt = -e.beta;
+    else if (angle === 180) tilt = -e.gamma;
+    tiltRest = tiltRest === null ? tilt : tiltRest + (tilt - tiltRest) * 0.02;
+    queueInput((tilt - tiltRest) / TILT_RANGE);
+  }
+
+  /* iOS only delivers orientation events after a permission prompt, which
+     must come from a user gesture — ask on the first tap. */
+  function requestOrientation() {
+    removeEventListener("click", requestOrientation);
+    DeviceOrientationEvent.requestPermission().then(
+      function (state) {
+        if (state === "granted" && !motionMq.matches) {
+          addEventListener("deviceorientation", onOrientation);
+        }
+      },
+      function () {
+        /* Denied or unavailable — pointer parallax only */
       },
-      [oc],
     );
+  }
 
-    sendTheme = function (theme) {
-      w.postMessage({ type: "theme", theme: theme });
-    };
+  function startParallax() {
+    addEventListener("pointermove", onPointerMove);
+    if (typeof DeviceOrientationEvent === "undefined") return;
+    if (typeof DeviceOrientationEvent.requestPermission === "function") {
+      addEventListener("click", requestOrientation);
+    } else {
+      addEventListener("deviceorientation", onOrientation);
+    }
+  }
+
+  function stopParallax() {
+    removeEventListener("pointermove", onPointerMove);
+    removeEventListener("deviceorientation", onOrientation);
+    removeEventListener("click", requestOrientation);
+    tiltRest = null;
+  }
+
+  if (!motionMq.matches) startParallax();
+
+  /* ── Scene configuration ───────────────────────────────────────── */
+  /* Declarative: data-* attributes on <forest-background>
+     (data-speed-base="0.006"), overridden by bg-prefixed query params
+     (?bg-speed-base=0.006). Later changes go through the element itself
+     (applyConfig, setParticles, setSeed), from the console too. */
+  function camelCase(name) {
+    return name.replace(/-([a-z])/g, function (m, ch) {
+      return ch.toUpperCase();
+    });
+  }
+
+  new URLSearchParams(location.search).forEach(function (value, name) {
+    if (name.indexOf("bg-") === 0)
+      forest.dataset[camelCase(name.slice(3))] = value;
+  });
+
+  /* ── Camera choreography ───────────────────────────────────────── */
+  /* camera.json names keyframe timelines (normalizeTimeline in
+     forest-core.js) after the moments that play them:
+
+       activate, deactivate   the "Say 👋" button, one-off
+       contact                while the contact dialog is open
+       route/<view>           while a route (ROUTES) is shown
+       scroll                 scrubbed by the page's scroll position
+
+     Each plays in a layer of its own, so they stack; a missing cue leaves
+     its layer to the autopilot, and so does a missing camera.json. */
+  var cues = {};
+  var routeView = null;
+  var wasActivated = document.documentElement.classList.contains("activated");
+  var contactDialog = document.getElementById("contact");
+  var scrollFrame = 0;
 
-    var tid;
-    addEventListener("resize", function () {
-      clearTimeout(tid);
-      tid = setTimeout(function () {
-        w.postMessage({
-          type: "resize",
-          w: innerWidth,
-          h: innerHeight,
-          dpr: 1,
+  function cue(layer, name) {
+    var timeline = Object.prototype.hasOwnProperty.call(cues, name)
+      ? cues[name]
+      : null;
+    withForest(function (f) {
+      f.playCamera(layer, timeline);
+    });
+  }
+
+  function followRoute() {
+    var view = parseRoute(location.hash).view;
+    if (view === routeView) return;
+    routeView = view;
+    cue("route", "route/" + view);
+  }
+
+  function followActivated() {
+    var now = document.documentElement.classList.contains("activated");
+    if (now === wasActivated) return;
+    wasActivated = now;
+    cue("ui", now ? "activate" : "deactivate");
+  }
+
+  function followDialog() {
+    cue("dialog", contactDialog.open ? "contact" : null);
+  }
+
+  function scrollProgress() {
+    var range = document.documentElement.scrollHeight - innerHeight;
+    return range > 0 ? Math.min(1, Math.max(0, scrollY / range)) : 0;
+  }
+
+  function onScroll() {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(function () {
+      scrollFrame = 0;
+      var progress = scrollProgress();
+      withForest(function (f) {
+        f.scrubCamera("scroll", progress);
+      });
+    });
+  }
+
+  fetch(CAMERA_URL)
+    .then(function (res) {
+      if (!res.ok) throw new Error(res.status + " " + res.statusText);
+      return res.json();
+    })
+    .then(function (data) {
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error("expected an object of timelines");
+      }
+      cues = data;
+    })
+    .catch(function (err) {
+      console.warn(
+        "[bg] " + CAMERA_URL + ": " + (err.message || err),
+        "— autopilot only",
+      );
+    })
+    .then(function () {
+      followRoute();
+      addEventListener("hashchange", followRoute);
+      new MutationObserver(followActivated).observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ["class"],
+      });
+      if (contactDialog) {
+        followDialog();
+        new MutationObserver(followDialog).observe(contactDialog, {
+          attributes: true,
+          attributeFilter: ["open"],
         });
-      }, 120);
+      }
+      if (cues.scroll) {
+        cue("scroll", "scroll");
+        onScroll();
+        addEventListener("scroll", onScroll, { passive: true });
+      }
+    });
+
+  /* ── Seed & shareable links ────────────────────────────────────── */
+  /* #seed=<hex>&t=<ms> (or ?seed=…&t=…, or after a route: #/projects?seed=…).
+     Seeds are 32-bit hex; any other text is hashed, so ?seed=moss works
+     too. t is the time into the flight. */
+  function readSeedParams(params) {
+    var seed = params.get("seed");
+    if (!seed) return null;
+    var t = parseFloat(params.get("t"));
+    return { seed: seed, time: isFinite(t) ? t : undefined };
+  }
+
+  function hashParams() {
+    return new URLSearchParams(hashParts(location.hash).query);
+  }
+
+  var startSeed =
+    readSeedParams(hashParams()) ||
+    readSeedParams(new URLSearchParams(location.search));
+  if (startSeed) {
+    forest.setAttribute("seed", startSeed.seed);
+    if (startSeed.time !== undefined)
+      forest.setAttribute("time", startSeed.time);
+  }
+
+  /* Moving between routes that carry the same seed keeps the flight going */
+  var seedKey = startSeed ? startSeed.seed + "@" + startSeed.time : "";
+
+  addEventListener("hashchange", function () {
+    var next = readSeedParams(hashParams());
+    if (!next || next.seed + "@" + next.time === seedKey) return;
+    seedKey = next.seed + "@" + next.time;
+    withForest(function (f) {
+      f.setSeed(next.seed, next.time);
     });
-  } else {
-    /* ── Fallback: load renderer on main thread ────────────────── */
-    window.__bgTheme = readTheme();
-    var s = document.createElement("script");
-    s.src = "bg-worker.js";
-    document.body.appendChild(s);
+  });
+
+  /* ── Frame export ──────────────────────────────────────────────── */
+  /* One camera sweep (PERF_CLIP) as numbered PNG frames in a .tar, from
+     the statistics overlay */
+  function downloadClip() {
+    var width = PERF_CLIP.width;
+    var height = PERF_CLIP.height;
+    return defined
+      .then(function () {
+        return forest.exportFrames(width, height, PERF_CLIP.fps);
+      })
+      .then(function (clip) {
+        var name =
+          "forest-" +
+          width +
+          "x" +
+          height +
+          "-" +
+          Math.round(1000 / clip.frameMs) +
+          "fps";
+        downloadBlob(
+          name + ".tar",
+          tarBlob(
+            clip.frames.map(function (blob, i) {
+              return {
+                name: name + "/" + ("000" + i).slice(-4) + ".png",
+                blob: blob,
+              };
+            }),
+          ),
+        );
+      });
+  }
 
-    sendTheme = function (theme) {
-      if (window.__bgSetTheme) window.__bgSetTheme(theme);
+  /* ── Performance overlay ───────────────────────────────────────── */
+  /* ?debug or Alt+Shift+D. Record keeps every second's statistics until
+     Stop; CSV / JSON download that session, to compare builds. Clip
+     downloads one camera sweep as frames. */
+  var perf = null; // overlay while shown
+  var perfStats;
+  var perfRecord;
+  var session = null; // { start, samples, recording }
+
+  function showPerf() {
+    perf = document.createElement("section");
+    perf.className = "perf";
+    perf.setAttribute("data-i18n-label", "perfTitle");
+    perf.setAttribute("aria-label", COPY.perfTitle);
+    perfStats = document.createElement("pre");
+    perfStats.className = "perf__stats";
+    perfStats.textContent = "…";
+    perfRecord = perfButton("perfRecord", toggleRecording);
+    perf.appendChild(perfStats);
+    perf.appendChild(perfRecord);
+    perf.appendChild(perfButton("perfCsv", exportCsv));
+    perf.appendChild(perfButton("perfJson", exportJson));
+    perf.appendChild(perfButton("perfClip", exportClip));
+    document.body.appendChild(perf);
+    forest.addEventListener("stats", onStats);
+    withForest(function (f) {
+      f.setStats(true);
+    });
+  }
+
+  function hidePerf() {
+    forest.removeEventListener("stats", onStats);
+    withForest(function (f) {
+      f.setStats(false);
+    });
+    if (session) session.recording = false;
+    perf.remove();
+    perf = null;
+  }
+
+  function perfButton(key, onClick) {
+    var b = document.createElement("button");
+    b.type = "button";
+    b.setAttribute("data-i18n", key);
+    b.textContent = COPY[key];
+    b.addEventListener("click", onClick);
+    return b;
+  }
+
+  function onStats(e) {
+    var rec = session && session.recording;
+    if (rec) {
+      session.samples.push(
+        Object.assign({ t: Date.now() - session.start }, e.detail),
+      );
+    }
+    perfStats.textContent =
+      formatStats(e.detail) +
+      (rec ? "\n● rec " + session.samples.length + " s" : "");
+  }
+
+  function toggleRecording() {
+    if (session && session.recording) {
+      session.recording = false;
+    } else {
+      session = { start: Date.now(), samples: [], recording: true };
+    }
+    var key = session.recording ? "perfStop" : "perfRecord";
+    perfRecord.setAttribute("data-i18n", key);
+    perfRecord.textContent = COPY[key];
+  }
+
+  function sessionName(ext) {
+    var stamp = new Date(session.start).toISOString().replace(/[:.]/g, "-");
+    return "forest-stats-" + stamp + "." + ext;
+  }
+
+  function exportCsv() {
+    if (!session || !session.samples.length) return;
+    downloadText(sessionName("csv"), "text/csv", statsToCsv(session.samples));
+  }
+
+  function exportJson() {
+    if (!session || !session.samples.length) return;
+    var data = {
+      page: location.href,
+      userAgent: navigator.userAgent,
+      start: new Date(session.start).toISOString(),
+      samples: session.samples,
     };
+    downloadText(
+      sessionName("json"),
+      "application/json",
+      JSON.stringify(data, null, 2),
+    );
+  }
+
+  function exportClip(e) {
+    var b = e.currentTarget;
+    b.disabled = true;
+    downloadClip()
+      .catch(function (err) {
+        console.warn("[bg] clip:", err.message || err);
+      })
+      .then(function () {
+        b.disabled = false;
+      });
   }
+
+  addEventListener("keydown", function (e) {
+    if (!e.altKey || !e.shiftKey || e.code !== "KeyD") return;
+    e.preventDefault();
+    if (perf) hidePerf();
+    else showPerf();
+  });
+
+  if (new URLSearchParams(location.search).has("debug")) showPerf();
+}
+
+function pwa() {
+  var html = document.documentElement;
+  var themeColor = document.querySelector('meta[name="theme-color"]');
+
+  /* ── Browser UI colour follows the sky ─────────────────────────── */
+  /* --sky-1 is the top of the page; the manifest repeats the light one */
+  function syncThemeColor() {
+    var sky = getComputedStyle(html).getPropertyValue("--sky-1").trim();
+    if (sky) themeColor.content = sky;
+  }
+
+  new MutationObserver(syncThemeColor).observe(html, {
+    attributes: true,
+    attributeFilter: ["style", "class"],
+  });
+  syncThemeColor();
+
+  /* ── Offline: sw.js ────────────────────────────────────────────── */
+  if (!("serviceWorker" in navigator)) return;
+  var sw = navigator.serviceWorker;
+  var prompt = null;
+  var waiting = null; // installed sw.js waiting to take over
+  var reloading = false;
+
+  /* One prompt for both kinds of update: a waiting sw.js is told to take
+     over first (the page reloads once it has), changed files are already
+     in the cache and only need a reload. */
+  function offerUpdate(worker) {
+    if (worker) waiting = worker;
+    if (prompt) return;
+    prompt = document.createElement("div");
+    prompt.className = "update";
+    prompt.setAttribute("role", "status");
+    var text = document.createElement("span");
+    text.setAttribute("data-i18n", "updateReady");
+    text.textContent = COPY.updateReady;
+    var reload = document.createElement("button");
+    reload.type = "button";
+    reload.setAttribute("data-i18n", "updateReload");
+    reload.textContent = COPY.updateReload;
+    reload.addEventListener("click", function () {
+      reload.disabled = true;
+      if (waiting) {
+        reloading = true;
+        waiting.postMessage({ type: "skipWaiting" });
+      } else {
+        location.reload();
+      }
+    });
+    prompt.appendChild(text);
+    prompt.appendChild(reload);
+    document.body.appendChild(prompt);
+  }
+
+  function watchInstall(reg) {
+    var next = reg.installing;
+    next.addEventListener("statechange", function () {
+      /* Without a controller this is the first install, not an update */
+      if (next.state === "installed" && sw.controller) offerUpdate(next);
+    });
+  }
+
+  sw.register("sw.js").then(
+    function (reg) {
+      if (reg.waiting && sw.controller) offerUpdate(reg.waiting);
+      if (reg.installing) watchInstall(reg);
+      reg.addEventListener("updatefound", function () {
+        watchInstall(reg);
+      });
+    },
+    function (err) {
+      console.warn("[sw] Registration failed:", err.message);
+    },
+  );
+
+  sw.addEventListener("message", function (e) {
+    if (e.data && e.data.type === "updated") offerUpdate(null);
+  });
+
+  sw.addEventListener("controllerchange", function () {
+    if (reloading) location.reload();
+  });
 }
 
 function init() {
@@ -118,22 +1763,47 @@ function init() {
   let activated = false;
   var toggle = document.getElementById("theme-switch");
   var html = document.documentElement;
+  var forest = document.querySelector("forest-background");
   var main = document.querySelector("main");
   var footer = document.querySelector("footer");
   var btn = document.createElement("button");
-  var title = document.createElement("h1");
-  var desc = document.createElement("p");
-  var links = document.createElement("div");
+  var share = document.createElement("button");
+  var shareTimer;
+  var wallpaper = el("p", "wallpaper");
+  var wallpaperSelect = el("select", "wallpaper__size");
+  var wallpaperBtn = el("button", "wallpaper__download");
+  var wallpaperTimer;
+  var langSwitch = document.getElementById("lang-switch");
+  /* Sections build.js rendered into the page, until renderContent() */
+  var sectionNodes = Array.prototype.slice.call(
+    main.querySelectorAll(":scope > section"),
+  );
+  var contentToken = 0;
+  var route = parseRoute(location.hash);
+  var pageNode = null; // shown in place of the sections off the start page
+  var routeToken = 0;
+  var baseTitle = document.title;
+  var routeStatus = el("p", "route-status");
+  var dialog = document.getElementById("contact");
+  var form = dialog.querySelector("form");
+  var status = dialog.querySelector(".contact__status");
+  var sendBtn = form.querySelector('button[type="submit"]');
+  var contactBtn = document.createElement("button");
+  var contact = {}; // contact section of the rendered content
+  var opener = null;
+  var sending = false;
+  var clockTimer;
+  var clockScrub = null;
 
   function activate() {
     if (!activated) {
       activated = true;
-      toggle.checked = mq.matches;
       toggle.disabled = false;
-      applyTheme(mq.matches);
+      syncTheme();
       btn.removeEventListener("click", activate);
       btn.addEventListener("click", deactivate);
       btn.textContent = COPY.btnClose;
+      openContact(btn);
 
       setTimeout(function () {
         html.classList.add("activated");
@@ -145,7 +1815,8 @@ function init() {
   function deactivate() {
     if (activated) {
       activated = false;
-      html.classList.remove("theme-dark", "theme-light", "activated");
+      html.classList.remove("activated");
+      syncTheme();
       btn.removeEventListener("click", deactivate);
       btn.addEventListener("click", activate);
       btn.textContent = COPY.btnOpen;
@@ -157,6 +1828,223 @@ function init() {
     html.classList.add(dark ? "theme-dark" : "theme-light");
   }
 
+  /* Explicit light / dark and the clock apply at all times. "system" keeps
+     the default sky until activation, then follows the OS preference. */
+  function syncTheme() {
+    stopClock();
+    if (themePref === "clock") {
+      tickClock();
+    } else if (themePref !== "system") {
+      applyTheme(themePref === "dark");
+    } else if (activated) {
+      applyTheme(mq.matches);
+    } else {
+      html.classList.remove("theme-dark", "theme-light");
+    }
+  }
+
+  /* ── Clock theme ───────────────────────────────────────────────── */
+  /* ?clock=HH:MM pins the time of day, ?clock=scrub adds a slider; both
+     switch the page to the clock theme without storing it. ?season=
+     previews a season's variants. */
+  var clockParams = new URLSearchParams(location.search);
+  var clockParam = clockParams.get("clock");
+  var clockPinned = parseClock(clockParam);
+  var seasonPinned = clockParams.get("season");
+
+  function clockSeason() {
+    return SEASONS.indexOf(seasonPinned) >= 0
+      ? seasonPinned
+      : SEASONS[new Date().getMonth()];
+  }
+
+  function clockHours() {
+    if (clockScrub) return clockScrub.value / 60;
+    if (clockPinned !== null) return clockPinned;
+    var now = new Date();
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+  }
+
+  /* The palette moves every minute; posters of the forest are kept per
+     nearest keyframe instead, so the next visit finds one */
+  function applyClock() {
+    var hours = clockHours();
+    var season = clockSeason();
+    var palette = clockPalette(hours, season);
+    forest.setAttribute(
+      "poster-key",
+      "clock-" + clockPaletteName(hours) + "-" + season,
+    );
+    CLOCK_VARS.forEach(function (prop) {
+      if (prop in palette) html.style.setProperty(prop, palette[prop]);
+      else html.style.removeProperty(prop);
+    });
+    applyTheme(clockWantsDarkTheme(palette));
+    if (clockScrub) {
+      clockScrub.nextSibling.textContent = formatClock(clockScrub.value);
+    }
+  }
+
+  /* Re-apply once a minute, on the minute */
+  function tickClock() {
+    applyClock();
+    clockTimer = setTimeout(tickClock, 60000 - (Date.now() % 60000));
+  }
+
+  function stopClock() {
+    clearTimeout(clockTimer);
+    forest.removeAttribute("poster-key");
+    CLOCK_VARS.forEach(function (prop) {
+      html.style.removeProperty(prop);
+    });
+  }
+
+  function formatClock(minutes) {
+    return (
+      String(Math.floor(minutes / 60)).padStart(2, "0") +
+      ":" +
+      String(minutes % 60).padStart(2, "0")
+    );
+  }
+
+  function createClockScrub() {
+    var label = document.createElement("label");
+    var now = new Date();
+    label.className = "clock-scrub";
+    clockScrub = document.createElement("input");
+    clockScrub.type = "range";
+    clockScrub.min = 0;
+    clockScrub.max = 24 * 60 - 1;
+    clockScrub.value = now.getHours() * 60 + now.getMinutes();
+    clockScrub.setAttribute("data-i18n-label", "clockScrub");
+    clockScrub.addEventListener("input", function () {
+      if (themePref === "clock") applyClock();
+    });
+    label.appendChild(clockScrub);
+    label.appendChild(document.createElement("output"));
+    document.body.appendChild(label);
+  }
+
+  function setThemePref(pref) {
+    themePref = pref;
+    var radio = toggle.querySelector('input[value="' + pref + '"]');
+    if (radio) radio.checked = true;
+    syncTheme();
+  }
+
+  function readThemePref() {
+    var pref = null;
+    try {
+      pref = localStorage.getItem(THEME_KEY);
+    } catch (e) {
+      /* Storage disabled — fall back to the OS preference */
+    }
+    return THEME_PREFS.indexOf(pref) >= 0 ? pref : "system";
+  }
+
+  function storeThemePref(pref) {
+    try {
+      localStorage.setItem(THEME_KEY, pref);
+    } catch (e) {
+      /* Storage disabled — the choice lasts for this page only */
+    }
+  }
+
+  /* Copy a link to the current forest. The clipboard write starts inside the
+     click (Safari requires that), the text arrives once the worker answers. */
+  function shareForest() {
+    var link = forestLink(forest);
+    var copied;
+    if (
+      typeof ClipboardItem === "function" &&
+      navigator.clipboard &&
+      navigator.clipboard.write
+    ) {
+      copied = navigator.clipboard.write([
+        new ClipboardItem({
+          "text/plain": link.then(function (url) {
+            return new Blob([url], { type: "text/plain" });
+          }),
+        }),
+      ]);
+    } else if (navigator.clipboard) {
+      copied = link.then(function (url) {
+        return navigator.clipboard.writeText(url);
+      });
+    } else {
+      copied = link.then(function () {
+        throw new Error("Clipboard unavailable");
+      });
+    }
+    copied.then(
+      function () {
+        shareStatus(COPY.shareDone);
+      },
+      function () {
+        shareStatus(COPY.shareFailed);
+      },
+    );
+  }
+
+  function shareStatus(text) {
+    share.textContent = text;
+    clearTimeout(shareTimer);
+    shareTimer = setTimeout(function () {
+      share.textContent = COPY.btnShare;
+    }, 2000);
+  }
+
+  /* ── Wallpaper ─────────────────────────────────────────────────── */
+  /* The forest as it is now, at the chosen size (WALLPAPER_SIZES) */
+  function downloadWallpaper() {
+    var size = wallpaperSize(wallpaperSelect.value);
+    clearTimeout(wallpaperTimer);
+    wallpaperBtn.disabled = true;
+    wallpaperBtn.textContent = COPY.wallpaperRendering;
+    customElements
+      .whenDefined("forest-background")
+      .then(function () {
+        return forest.exportImage(size.width, size.height);
+      })
+      .then(
+        function (blob) {
+          downloadBlob(
+            "forest-" + size.width + "x" + size.height + ".png",
+            blob,
+          );
+          wallpaperStatus(COPY.btnWallpaper);
+        },
+        function (err) {
+          console.warn("[bg] wallpaper:", err.message || err);
+          wallpaperStatus(COPY.wallpaperFailed);
+        },
+      );
+  }
+
+  function wallpaperStatus(text) {
+    wallpaperBtn.disabled = false;
+    wallpaperBtn.textContent = text;
+    clearTimeout(wallpaperTimer);
+    wallpaperTimer = setTimeout(function () {
+      wallpaperBtn.textContent = COPY.btnWallpaper;
+    }, 2000);
+  }
+
+  /* Options and labels in the current language; the choice stays */
+  function labelWallpaper() {
+    var value = wallpaperSelect.value || WALLPAPER_SIZES[0].value;
+    wallpaperSelect.textContent = "";
+    wallpaperSelect.setAttribute("aria-label", COPY.wallpaperSize);
+    WALLPAPER_SIZES.forEach(function (size) {
+      var option = el("option", "", COPY[size.label]);
+      option.value = size.value;
+      wallpaperSelect.appendChild(option);
+    });
+    wallpaperSelect.value = value;
+    clearTimeout(wallpaperTimer);
+    if (!wallpaperBtn.disabled) wallpaperBtn.textContent = COPY.btnWallpaper;
+  }
+
   function load() {
     if (!loaded) {
       loaded = true;
@@ -164,18 +2052,16 @@ function init() {
       btn.classList.add("btn");
       btn.addEventListener("click", activate);
       footer.appendChild(btn);
-      title.textContent = COPY.title;
-      desc.textContent = COPY.description;
-      main.appendChild(title);
-      main.appendChild(desc);
-      COPY.links.forEach(function (link) {
-        var a = document.createElement("a");
-        a.textContent = link.name;
-        a.href = link.url;
-        a.target = "_blank";
-        links.appendChild(a);
-      });
-      main.appendChild(links);
+      share.type = "button";
+      share.className = "share";
+      share.textContent = COPY.btnShare;
+      share.addEventListener("click", shareForest);
+      main.appendChild(share);
+      wallpaperBtn.type = "button";
+      wallpaperBtn.addEventListener("click", downloadWallpaper);
+      labelWallpaper();
+      wallpaper.append(wallpaperSelect, wallpaperBtn);
+      main.appendChild(wallpaper);
 
       setTimeout(function () {
         html.classList.add("loaded");
@@ -183,22 +2069,313 @@ function init() {
     }
   }
 
+  /* ── Contact dialog ────────────────────────────────────────────── */
+  /* showModal() makes the page behind inert; Tab still wraps inside the
+     dialog instead of leaving for the browser UI, and focus goes back to
+     whatever opened it. */
+  function openContact(from) {
+    if (dialog.open || !contactReachable(contact)) return;
+    opener = from;
+    announce("");
+    dialog.showModal();
+    form.elements.name.focus();
+  }
+
+  function closeContact() {
+    if (dialog.open) dialog.close();
+  }
+
+  function announce(text) {
+    status.textContent = text;
+  }
+
+  function focusable() {
+    return dialog.querySelectorAll("input, textarea, button:not([disabled])");
+  }
+
+  function fieldError(field) {
+    if (!field.value.trim()) return COPY.contactRequired;
+    if (field.validity.typeMismatch) return COPY.contactEmailInvalid;
+    if (field.maxLength > 0 && field.value.length > field.maxLength) {
+      return COPY.contactTooLong.replace("{max}", field.maxLength);
+    }
+    return "";
+  }
+
+  /** Mark every invalid field and focus the first; true when all pass. */
+  function validateContact() {
+    var firstBad = null;
+    ["name", "email", "message"].forEach(function (key) {
+      var field = form.elements[key];
+      var error = fieldError(field);
+      document.getElementById(field.id + "-error").textContent = error;
+      if (error) field.setAttribute("aria-invalid", "true");
+      else field.removeAttribute("aria-invalid");
+      if (error && !firstBad) firstBad = field;
+    });
+    if (firstBad) firstBad.focus();
+    return !firstBad;
+  }
+
+  function setSending(on) {
+    sending = on;
+    sendBtn.disabled = on;
+    form.setAttribute("aria-busy", on ? "true" : "false");
+  }
+
+  function sendContact() {
+    if (sending) return;
+    if (!validateContact()) {
+      announce(COPY.contactInvalid);
+      return;
+    }
+    var name = contact.transport || (contact.endpoint ? "post" : "mailto");
+    var message = {
+      name: form.elements.name.value.trim(),
+      email: form.elements.email.value.trim(),
+      message: form.elements.message.value.trim(),
+    };
+    setSending(true);
+    announce(COPY.contactSending);
+    CONTACT_TRANSPORTS[name](message, contact)
+      .then(
+        function (result) {
+          if (result === "sent") form.reset();
+          announce(result === "sent" ? COPY.contactSent : COPY.contactOpened);
+        },
+        function (err) {
+          console.warn("[contact] " + name + " failed:", err.message || err);
+          announce(COPY.contactFailed);
+        },
+      )
+      .then(function () {
+        setSending(false);
+      });
+  }
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    sendContact();
+  });
+
+  form.addEventListener("input", function (e) {
+    /* Clear a field's error as soon as it is fixed */
+    if (e.target.getAttribute("aria-invalid") && !fieldError(e.target)) {
+      e.target.removeAttribute("aria-invalid");
+      document.getElementById(e.target.id + "-error").textContent = "";
+    }
+  });
+
+  dialog
+    .querySelector(".contact__cancel")
+    .addEventListener("click", closeContact);
+
+  dialog.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeContact();
+    } else if (e.key === "Tab") {
+      var items = focusable();
+      var first = items[0];
+      var last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  dialog.addEventListener("close", function () {
+    if (opener) opener.focus();
+    opener = null;
+  });
+
+  contactBtn.type = "button";
+  contactBtn.className = "contact-open";
+  contactBtn.addEventListener("click", function () {
+    openContact(contactBtn);
+  });
+
+  /* ── Routes ────────────────────────────────────────────────────── */
+  /* Off the start page (ROUTES) the sections are hidden and the route's
+     page stands in their place; html.routed keeps <main> in view. bg()
+     moves the forest's camera for the route. After a navigation focus moves
+     to the new heading, which is also announced. */
+  function showRoute(navigated) {
+    var token = ++routeToken;
+    route = parseRoute(location.hash);
+    loadContent(COPY.lang)
+      .then(function (sections) {
+        return renderPage(route, sections);
+      })
+      .then(function (page) {
+        if (token === routeToken) setPage(page || null, navigated);
+      });
+  }
+
+  function setPage(page, navigated) {
+    if (pageNode) pageNode.remove();
+    pageNode = page;
+    if (page) main.insertBefore(page, share);
+    sectionNodes.forEach(function (node) {
+      node.hidden = !!page;
+    });
+    html.classList.toggle("routed", !!page);
+
+    var heading = (page || main).querySelector("h1");
+    var title = page ? heading.textContent : "";
+    document.title = [title, baseTitle].filter(Boolean).join(" — ");
+    if (!navigated) return;
+    window.scroll(0, 0);
+    /* <main> stays hidden on the start page until activation */
+    var target = (page || activated) && heading ? heading : btn;
+    if (target === heading) heading.tabIndex = -1;
+    target.focus();
+    routeStatus.textContent =
+      title || baseTitle || (heading ? heading.textContent : "");
+  }
+
+  routeStatus.setAttribute("role", "status");
+  document.body.appendChild(routeStatus);
+
+  /* Back / forward and links; a new seed alone (#seed=…) is not a move */
+  addEventListener("hashchange", function () {
+    if (parseRoute(location.hash).path !== route.path) showRoute(true);
+  });
+
+  /* Replace the rendered sections with the current language's. A reply
+     for a language that is no longer selected is dropped. Sections that
+     are already on the page exactly as they would be rendered (the
+     build's) stay put. */
+  function renderContent() {
+    var token = ++contentToken;
+    loadContent(COPY.lang).then(function (sections) {
+      if (token !== contentToken) return;
+      var fresh = sections.map(renderSection);
+      var same =
+        fresh.length === sectionNodes.length &&
+        fresh.every(function (node, i) {
+          return node.isEqualNode(sectionNodes[i]);
+        });
+      if (!same) {
+        sectionNodes.forEach(function (node) {
+          node.remove();
+        });
+        sectionNodes = fresh.map(function (node) {
+          node.hidden = !!pageNode;
+          return main.insertBefore(node, share);
+        });
+      }
+      contact = {};
+      contactBtn.remove();
+      sections.forEach(function (section, i) {
+        if (section.type !== "contact") return;
+        contact = section;
+        /* Nowhere to send to — the links stand alone */
+        if (contactReachable(section)) {
+          sectionNodes[i].appendChild(contactBtn);
+        }
+      });
+    });
+  }
+
+  /* Swap every string in place — the background keeps running */
+  function setLocale(locale) {
+    COPY = LOCALES[locale];
+    html.lang = COPY.lang;
+    html.dir = COPY.dir;
+    langSwitch.value = locale;
+    document.querySelectorAll("[data-i18n]").forEach(function (node) {
+      node.textContent = COPY[node.dataset.i18n];
+    });
+    document.querySelectorAll("[data-i18n-label]").forEach(function (node) {
+      node.setAttribute("aria-label", COPY[node.dataset.i18nLabel]);
+    });
+    btn.textContent = activated ? COPY.btnClose : COPY.btnOpen;
+    clearTimeout(shareTimer);
+    share.textContent = COPY.btnShare;
+    labelWallpaper();
+    contactBtn.textContent = COPY.contactOpen;
+    renderContent();
+    showRoute(false);
+  }
+
+  /* ?lang= (for testing), then the stored choice, then the browser's */
+  function initialLocale() {
+    return (
+      pickLocale([new URLSearchParams(location.search).get("lang")]) ||
+      readLocalePref() ||
+      pickLocale(navigator.languages || [navigator.language]) ||
+      DEFAULT_LOCALE
+    );
+  }
+
+  function readLocalePref() {
+    try {
+      return pickLocale([localStorage.getItem(LOCALE_KEY)]);
+    } catch (e) {
+      return null; // storage disabled
+    }
+  }
+
+  function storeLocalePref(locale) {
+    try {
+      localStorage.setItem(LOCALE_KEY, locale);
+    } catch (e) {
+      /* Storage disabled — the choice lasts for this page only */
+    }
+  }
+
+  Object.keys(LOCALES).forEach(function (tag) {
+    var option = document.createElement("option");
+    option.value = tag;
+    option.lang = tag;
+    option.textContent = LOCALES[tag].name;
+    langSwitch.appendChild(option);
+  });
+
+  langSwitch.addEventListener("change", function () {
+    setLocale(langSwitch.value);
+    storeLocalePref(langSwitch.value);
+  });
+
   /* OS preference */
   var mq = window.matchMedia("(prefers-color-scheme: dark)");
 
-  /* Manual toggle */
-  toggle.addEventListener("change", function () {
-    applyTheme(toggle.checked);
+  /* Stored preference — applied before the background reads the theme */
+  var themePref;
+  if (clockParam === "scrub") createClockScrub();
+  setThemePref(clockScrub || clockPinned !== null ? "clock" : readThemePref());
+
+  /* Manual choice */
+  toggle.addEventListener("change", function (e) {
+    setThemePref(e.target.value);
+    storeThemePref(themePref);
+  });
+
+  /* Choice made in another tab (key is null when storage was cleared) */
+  addEventListener("storage", function (e) {
+    if (e.key === THEME_KEY || e.key === null) setThemePref(readThemePref());
+    if (e.key === LOCALE_KEY || e.key === null) setLocale(initialLocale());
   });
 
   /* React to OS preference changes in real time */
-  mq.addEventListener("change", function (e) {
-    toggle.checked = e.matches;
-    applyTheme(e.matches);
+  mq.addEventListener("change", function () {
+    if (themePref === "system") syncTheme();
   });
 
   load();
+  setLocale(initialLocale());
 }
 
-bg();
-init();
+/* init() first: it applies the stored theme, so the first frame uses it
+   (the element reads it when forest-background.js runs, after this file).
+   build.js loads this file for its content model and renderer alone. */
+if (typeof SITE_BUILD === "undefined") {
+  init();
+  bg();
+  pwa();
+}
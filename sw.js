@@ -0,0 +1,170 @@
+/**
+ * Forest fly-through — service worker.
+ * Precaches the page and everything it loads under a versioned cache name
+ * and serves those files cache-first, refreshing each cached copy from the
+ * network in the background. When a refresh brings a changed file, or a
+ * new version of this file installs, the page is told (main.js shows a
+ * "refresh" prompt):
+ *
+ *   { type: "updated", url }   a cached file changed on the server
+ *   installed + waiting        a new sw.js; the page answers "skipWaiting"
+ *
+ * Bump VERSION whenever PRECACHE changes or every client should start over
+ * from fresh copies; older caches are deleted once the new worker takes
+ * over — with them <forest-background>'s poster frames ("forest-posters"),
+ * which a new version may draw differently. Routed pages under pages/ are
+ * cached too, the first time they load; anything else not in PRECACHE
+ * goes straight to the network.
+ */
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Cache                                                                     */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+const VERSION = 4;
+const CACHE_PREFIX = "forest-";
+const CACHE = CACHE_PREFIX + "v" + VERSION;
+
+/* Relative to this file. bg-worker.js pulls in the forest-*.js modules
+   itself (importScripts in the worker, script tags on the main thread);
+   both go through here, so they are listed too. So are the pages under
+   pages/, so they open offline before they were ever visited. */
+const PRECACHE = [
+  "index.html",
+  "styles.css",
+  "forest-color.js",
+  "main.js",
+  "content.json",
+  "camera.json",
+  "forest-background.js",
+  "bg-worker.js",
+  "forest-core.js",
+  "forest-2d.js",
+  "forest-gl.js",
+  "me.avif",
+  "manifest.webmanifest",
+  "icon.svg",
+  "pages/projects/forest.md",
+  "pages/notes/replaying-a-forest.md",
+];
+/* main.js PAGES_URL: the Markdown of #/projects/… and #/notes/… */
+const PAGES_DIR = "pages/";
+
+const SCOPE = self.registration.scope;
+const PAGE_URL = new URL("index.html", SCOPE).href;
+const PAGES_URL = new URL(PAGES_DIR, SCOPE).href;
+const PRECACHED = new Set(
+  PRECACHE.map(function (path) {
+    return new URL(path, SCOPE).href;
+  }),
+);
+
+/** Cache key for a request, or null when it is not ours to answer. */
+function cacheKey(request) {
+  if (request.method !== "GET") return null;
+  const url = new URL(request.url);
+  const bare = url.origin + url.pathname;
+  /* The page itself, whatever its query (?debug, ?seed=…, ?lang=…) */
+  if (request.mode === "navigate") {
+    return bare === SCOPE || bare === PAGE_URL ? PAGE_URL : null;
+  }
+  if (url.search) return null;
+  return PRECACHED.has(bare) || bare.indexOf(PAGES_URL) === 0 ? bare : null;
+}
+
+/* No checksums to hand, so a change is whatever the validators say */
+function fingerprint(response) {
+  const h = response.headers;
+  return h.get("etag") || h.get("last-modified") || h.get("content-length");
+}
+
+function notifyClients(msg) {
+  return self.clients.matchAll({ type: "window" }).then(function (list) {
+    list.forEach(function (client) {
+      client.postMessage(msg);
+    });
+  });
+}
+
+/** Fetch `request`, store the answer under `key` and report a change. */
+function refresh(cache, key, request, cached) {
+  return fetch(request).then(function (response) {
+    /* A redirected response cannot answer a navigation later */
+    if (!response.ok || response.redirected) return response;
+    const before = cached && fingerprint(cached);
+    const changed = !!before && before !== fingerprint(response);
+    const copy = response.clone();
+    return cache
+      .put(key, copy)
+      .then(function () {
+        if (changed) return notifyClients({ type: "updated", url: key });
+      })
+      .then(function () {
+        return response;
+      });
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Lifecycle                                                                 */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+self.addEventListener("install", function (e) {
+  /* Straight from the network — the HTTP cache may hold the old version */
+  e.waitUntil(
+    caches.open(CACHE).then(function (cache) {
+      return cache.addAll(
+        PRECACHE.map(function (path) {
+          return new Request(path, { cache: "reload" });
+        }),
+      );
+    }),
+  );
+  /* No skipWaiting(): the page decides when to switch (see "message") */
+});
+
+self.addEventListener("activate", function (e) {
+  e.waitUntil(
+    caches
+      .keys()
+      .then(function (names) {
+        return Promise.all(
+          names
+            .filter(function (name) {
+              return name.indexOf(CACHE_PREFIX) === 0 && name !== CACHE;
+            })
+            .map(function (name) {
+              return caches.delete(name);
+            }),
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      }),
+  );
+});
+
+self.addEventListener("message", function (e) {
+  if (e.data && e.data.type === "skipWaiting") self.skipWaiting();
+});
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  Requests — cache first, refreshed in the background                       */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+self.addEventListener("fetch", function (e) {
+  const key = cacheKey(e.request);
+  if (!key) return;
+
+  e.respondWith(
+    caches.open(CACHE).then(function (cache) {
+      return cache.match(key).then(function (cached) {
+        const update = refresh(cache, key, e.request, cached);
+        if (!cached) return update; // offline and never cached → fails
+        e.waitUntil(
+          update.catch(function () {
+            /* Offline — the cached copy stands */
+          }),
+        );
+        return cached;
+      });
+    }),
+  );
+});
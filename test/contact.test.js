@@ -0,0 +1,138 @@
+/**
+ * Contact transports (CONTACT_TRANSPORTS in main.js) against a local mock
+ * server. Run with: node --test test/
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const MAIN = path.join(__dirname, "..", "main.js");
+const CONTENT = path.join(__dirname, "..", "content.json");
+
+/** main.js without starting the page, as build.js loads it. */
+function loadMain() {
+  const sandbox = {
+    SITE_BUILD: true,
+    console: console,
+    URL: URL,
+    fetch: fetch,
+    AbortController: AbortController,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    location: { href: "about:blank" },
+  };
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(MAIN, "utf8"), sandbox, { filename: MAIN });
+  sandbox.transports = vm.runInContext("CONTACT_TRANSPORTS", sandbox);
+  return sandbox;
+}
+
+const MESSAGE = { name: "Ada", email: "ada@example.com", message: "Hello" };
+
+/* Answers POST /ok with 200 and /fail with 500, remembering each request */
+function startServer() {
+  const received = [];
+  const server = http.createServer(function (req, res) {
+    let body = "";
+    req.on("data", function (chunk) {
+      body += chunk;
+    });
+    req.on("end", function () {
+      received.push({
+        method: req.method,
+        url: req.url,
+        type: req.headers["content-type"],
+        body: body,
+      });
+      res.writeHead(req.url === "/ok" ? 200 : 500);
+      res.end();
+    });
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, "127.0.0.1", function () {
+      resolve({
+        server: server,
+        received: received,
+        url: "http://127.0.0.1:" + server.address().port,
+      });
+    });
+  });
+}
+
+test("post sends the message as JSON and resolves to sent", function () {
+  const main = loadMain();
+  return startServer().then(function (mock) {
+    return main.transports
+      .post(MESSAGE, { endpoint: mock.url + "/ok" })
+      .then(function (result) {
+        assert.strictEqual(result, "sent");
+        assert.strictEqual(mock.received.length, 1);
+        assert.strictEqual(mock.received[0].method, "POST");
+        assert.strictEqual(mock.received[0].type, "application/json");
+        assert.deepStrictEqual(JSON.parse(mock.received[0].body), MESSAGE);
+      })
+      .finally(function () {
+        mock.server.close();
+      });
+  });
+});
+
+test("post rejects when the server answers with an error", function () {
+  const main = loadMain();
+  return startServer().then(function (mock) {
+    return assert
+      .rejects(
+        main.transports.post(MESSAGE, { endpoint: mock.url + "/fail" }),
+        /500/,
+      )
+      .finally(function () {
+        mock.server.close();
+      });
+  });
+});
+
+test("post rejects without an endpoint", function () {
+  const main = loadMain();
+  return assert.rejects(main.transports.post(MESSAGE, {}), /no endpoint/);
+});
+
+test("mailto addresses the composer to the contact email", function () {
+  const main = loadMain();
+  return main.transports
+    .mailto(MESSAGE, { email: "me@example.com" })
+    .then(function (result) {
+      assert.strictEqual(result, "opened");
+      assert.match(main.location.href, /^mailto:me%40example\.com\?subject=/);
+    });
+});
+
+test("mailto rejects without an email and leaves the page alone", function () {
+  const main = loadMain();
+  return assert
+    .rejects(main.transports.mailto(MESSAGE, {}), /no email/)
+    .then(function () {
+      assert.strictEqual(main.location.href, "about:blank");
+    });
+});
+
+test("the shipped contact sections have somewhere to send to", function () {
+  const main = loadMain();
+  main.shipped = JSON.parse(fs.readFileSync(CONTENT, "utf8"));
+  ["shipped", "LOCALES.en"].forEach(function (source) {
+    const contact = vm
+      .runInContext("checkContent(" + source + ")", main)
+      .find(function (section) {
+        return section.type === "contact";
+      });
+    assert.ok(contact, source + " has a contact section");
+    assert.ok(
+      vm.runInContext("contactReachable", main)(contact),
+      source + " gets the contact button",
+    );
+  });
+});
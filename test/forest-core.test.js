@@ -0,0 +1,103 @@
+/**
+ * The scene core is deterministic: a seed and a time decide the frame.
+ * Frames are compared as forest-2d.js draw logs on a recording canvas.
+ * Run with: node --test test/
+ */
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const ForestCore = require("../forest-core.js");
+const Forest2D = require("../forest-2d.js");
+const ForestRecorder = require("../forest-recorder.js");
+
+/** A paused scene drawing into a recording canvas. */
+function createRecorded(seed) {
+  const scene = ForestCore.createScene({
+    seed: seed,
+    paused: true,
+    clock: ForestCore.createManualClock(),
+  });
+  const canvas = ForestRecorder.createCanvas();
+  scene.setRenderer(Forest2D.create(scene, canvas));
+  scene.resize(800, 600, 1);
+  return { scene: scene, canvas: canvas };
+}
+
+/** The draw log of `rec` stepped to `ms`. */
+function frameAt(rec, ms) {
+  rec.canvas.context.clear();
+  rec.scene.stepTo(ms);
+  return rec.canvas.context.format(2);
+}
+
+test("the same seed draws the same frame", function () {
+  const a = frameAt(createRecorded(42), 12000);
+  const b = frameAt(createRecorded(42), 12000);
+  assert.ok(a.length > 0);
+  assert.deepStrictEqual(a, b);
+});
+
+test("a different seed draws a different frame", function () {
+  const a = frameAt(createRecorded(42), 12000);
+  const b = frameAt(createRecorded(43), 12000);
+  assert.notDeepStrictEqual(a, b);
+});
+
+/* Intermediate stops sit on the 16 ms step grid: stopping between steps
+   shifts every later step, and the float sums with them */
+test("stepTo replays the same frame after a rewind", function () {
+  const rec = createRecorded(42);
+  const first = frameAt(rec, 12000);
+  frameAt(rec, 3200);
+  assert.deepStrictEqual(frameAt(rec, 12000), first);
+});
+
+test("stepping in stages lands on the same frame as one step", function () {
+  const staged = createRecorded(42);
+  frameAt(staged, 4000);
+  frameAt(staged, 8000);
+  assert.deepStrictEqual(
+    frameAt(staged, 12000),
+    frameAt(createRecorded(42), 12000),
+  );
+});
+
+test("a rewind drops camera moves and finishes a theme cross-fade", function () {
+  const rec = createRecorded(42);
+  const before = frameAt(rec, 12000);
+
+  rec.scene.playCamera("test", {
+    hold: true,
+    keyframes: [{ at: 500, speed: 3, yaw: 6, fog: 0.5 }],
+  });
+  rec.scene.setTheme(
+    Object.assign({}, ForestCore.DEFAULT_THEME, { treeHueMin: 20 }),
+  );
+  frameAt(rec, 12800);
+  assert.ok(rec.scene.themeTransitioning);
+
+  const replay = frameAt(rec, 12000);
+  assert.strictEqual(rec.scene.themeTransitioning, false);
+  assert.strictEqual(rec.scene.view.fog, 1);
+  assert.notDeepStrictEqual(replay, before); // in the new palette
+  frameAt(rec, 3200);
+  assert.deepStrictEqual(frameAt(rec, 12000), replay);
+});
+
+test("a start time past the limit folds back by whole camera sweeps", function () {
+  const sweep = ForestCore.createScene({ paused: true }).config.viewSweepMs;
+  const scene = ForestCore.createScene({ paused: true, time: 600000 + 5000 });
+  assert.strictEqual(scene.getState().time % sweep, 5000 % sweep);
+  assert.ok(scene.getState().time < 600000);
+});
+
+test("a clip replayed from a late live time starts on the live frame", function () {
+  /* bg-worker.js exportFrames: a fresh scene, stepped to the live time */
+  const ms = 604800; // past MAX_START_MS, on the step grid
+  const live = createRecorded(7);
+  const frame = frameAt(live, ms);
+  const clip = createRecorded(live.scene.getState().seed);
+  assert.deepStrictEqual(frameAt(clip, live.scene.getState().time), frame);
+});